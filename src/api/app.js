@@ -1,25 +1,33 @@
 require('dotenv').config();
 const db = require('../config/db');
-const { connectRabbitMQ } = require("../config/rabbitmq");
+const { connectRabbitMQ, getBrokerStatus, TopologyConflictError } = require("../config/rabbitmq");
+const { purgeExpiredKeys } = require('./services/idempotencyService');
 const express = require('express');
 
 const bodyParser = require('body-parser');
 const cors = require('cors');
 
 const reportsRoutes = require('./routes/reports');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 
 app.use(cors());
 app.use(bodyParser.json());
 
-// Health check endpoint
+// Health check endpoint; unhealthy while RabbitMQ is down or reconnecting
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: "API is healthy" });
+  const rabbitmq = getBrokerStatus();
+
+  if (!rabbitmq.connected) {
+    return res.status(503).json({ status: "API is degraded", rabbitmq });
+  }
+  res.status(200).json({ status: "API is healthy", rabbitmq });
 });
 
 // Routes
 app.use('/api/reports', reportsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Global error handler
 app.use((err, req, res, next) => {
@@ -30,6 +38,23 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3000;
+const IDEMPOTENCY_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Periodically deletes expired idempotency keys
+ */
+function scheduleIdempotencyCleanup() {
+  setInterval(async () => {
+    try {
+      const purged = await purgeExpiredKeys();
+      if (purged > 0) {
+        console.log(`🧹 Purged ${purged} expired idempotency key(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to purge expired idempotency keys:', error.message);
+    }
+  }, IDEMPOTENCY_CLEANUP_INTERVAL_MS).unref();
+}
 
 // Wait for database connection before starting
 async function startServer() {
@@ -47,8 +72,13 @@ async function startServer() {
     app.listen(PORT, () => {
       console.log(`✅ API Service running on port ${PORT}`);
     });
+
+    scheduleIdempotencyCleanup();
   } catch (error) {
     console.error('❌ Failed to start server:', error);
+    if (error instanceof TopologyConflictError) {
+      process.exit(1); // Retrying cannot resolve a conflicting declaration
+    }
     setTimeout(startServer, 5000); // Retry
   }
 }
@@ -0,0 +1,122 @@
+const dlqService = require('../services/dlqService');
+const registry = require('../../reports/registry');
+const { getClientId } = require('../utils/requestContext');
+
+const MAX_DLQ_PAGE_SIZE = 500;
+
+/**
+ * Validates a replay/purge selection: a non-empty report_ids array or all: true
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSelection(body) {
+  const { report_ids, all } = body || {};
+
+  if (all === true) {
+    return null;
+  }
+  if (!Array.isArray(report_ids) || report_ids.length === 0 ||
+      !report_ids.every(id => typeof id === 'string')) {
+    return "Provide report_ids (non-empty array of strings) or all: true";
+  }
+  return null;
+}
+
+/**
+ * Validates an optional report_type restricting the operation to one type's DLQ
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateReportType(reportType) {
+  if (reportType === undefined || registry.hasGenerator(reportType)) {
+    return null;
+  }
+  return `report_type must be one of: ${registry.listGenerators().map(g => g.type).join(', ')}`;
+}
+
+/**
+ * GET /api/admin/dlq
+ * Lists dead-lettered messages with their x-death headers and report rows,
+ * optionally for one report type (?report_type=)
+ */
+exports.listDeadLetters = async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DLQ_PAGE_SIZE) {
+    return res.status(400).json({
+      message: `limit must be an integer between 1 and ${MAX_DLQ_PAGE_SIZE}`
+    });
+  }
+
+  const reportTypeError = validateReportType(req.query.report_type);
+  if (reportTypeError) {
+    return res.status(400).json({
+      message: reportTypeError
+    });
+  }
+
+  try {
+    const result = await dlqService.listDeadLetters({ limit, reportType: req.query.report_type });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error listing DLQ messages:', error);
+    return res.status(500).json({
+      message: "Failed to read dead-letter queue"
+    });
+  }
+};
+
+/**
+ * POST /api/admin/dlq/replay
+ * Replays selected (report_ids) or all DLQ messages with a fresh retry budget,
+ * optionally only one report type's (report_type)
+ */
+exports.replayDeadLetters = async (req, res) => {
+  const selectionError = validateSelection(req.body) || validateReportType(req.body.report_type);
+  if (selectionError) {
+    return res.status(400).json({
+      message: selectionError
+    });
+  }
+
+  try {
+    const result = await dlqService.replayDeadLetters({
+      reportIds: req.body.report_ids,
+      all: req.body.all === true,
+      reportType: req.body.report_type,
+      actor: getClientId(req)
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error replaying DLQ messages:', error);
+    return res.status(500).json({
+      message: "Failed to replay dead-letter queue"
+    });
+  }
+};
+
+/**
+ * POST /api/admin/dlq/purge
+ * Deletes selected (report_ids) or all DLQ messages, optionally only one
+ * report type's (report_type)
+ */
+exports.purgeDeadLetters = async (req, res) => {
+  const selectionError = validateSelection(req.body) || validateReportType(req.body.report_type);
+  if (selectionError) {
+    return res.status(400).json({
+      message: selectionError
+    });
+  }
+
+  try {
+    const result = await dlqService.purgeDeadLetters({
+      reportIds: req.body.report_ids,
+      all: req.body.all === true,
+      reportType: req.body.report_type
+    });
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Error purging DLQ messages:', error);
+    return res.status(500).json({
+      message: "Failed to purge dead-letter queue"
+    });
+  }
+};
@@ -1,17 +1,133 @@
+const crypto = require('crypto');
 const db = require('../../config/db');
-const { v4: uuidv4 } = require('uuid');
-const { getChannel } = require("../../config/rabbitmq");
+const { publishConfirmed } = require("../../config/rabbitmq");
+const { getTopology } = require('../../config/topology');
+const { SUPPORTED_FORMATS, DEFAULT_FORMAT, isSupportedFormat } = require('../../reports/formats');
+const { getStorage } = require('../../storage');
+const { ArtifactNotFoundError } = require('../../storage/errors');
+const signedUrls = require('../utils/signedUrls');
+const { validateReportParameters } = require('../../reports/validation');
+const registry = require('../../reports/registry');
+const { getClientId } = require('../utils/requestContext');
+const { enqueueReportJob, dispatchReportJob } = require('../../outbox/reportJobs');
+const { checkCapacity } = require('../services/backpressure');
+const { runQuery, parseJsonColumn } = require('../../config/query');
+const { withTransaction } = require('../../config/transaction');
+const idempotency = require('../services/idempotencyService');
+const reportCache = require('../services/reportCache');
+const priorities = require('../services/priorityService');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const REPORT_STATUSES = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+const CANCELLABLE_STATUSES = ['pending', 'processing'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Validates the UUID v4 format of a report_id
+ */
+function isValidReportId(reportId) {
+  return UUID_REGEX.test(reportId);
+}
+
+/**
+ * Builds a signed, expiring download URL for a report artifact
+ * @returns {object} { url, expiresAt }
+ */
+function buildDownloadUrl(req, reportId, ttlSeconds) {
+  const baseUrl = process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`;
+  const { expires, signature } = signedUrls.signDownload(reportId, signedUrls.resolveTtl(ttlSeconds));
+
+  return {
+    url: `${baseUrl.replace(/\/$/, '')}/api/reports/${reportId}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Responds 503 with Retry-After when the broker cannot accept more work of a report type
+ * @returns {Promise<boolean>} true when a response was sent
+ */
+async function rejectWhenOverloaded(res, reportType) {
+  const overload = await checkCapacity(reportType);
+  if (!overload) {
+    return false;
+  }
+
+  console.warn(`⚠️ Rejecting report job: ${overload.reason}`);
+  res.set('Retry-After', String(overload.retryAfterSeconds));
+  res.status(503).json({
+    message: "Service temporarily unable to accept reports",
+    reason: overload.reason
+  });
+  return true;
+}
+
+/**
+ * Publishes a freshly committed job and waits for the broker's confirm. The
+ * job is already durable in the outbox, so a job the broker did not confirm,
+ * or one the relay claimed first, is still published by the relay; the report
+ * is accepted either way and the client follows it on the status endpoint.
+ * @returns {Promise<boolean>} true only when the broker confirmed the job here
+ */
+async function publishCommittedJob(reportId) {
+  try {
+    const published = await dispatchReportJob(reportId);
+    if (published > 0) {
+      return true;
+    }
+    console.log(`📮 Job for ${reportId} already claimed by the outbox relay`);
+  } catch (error) {
+    console.warn(`⚠️ Job for ${reportId} not confirmed, left to the outbox relay:`, error.message);
+  }
+  return false;
+}
+
+/**
+ * Answers a request whose Idempotency-Key is already taken: the original
+ * status code and body for the same request, 422 for a different one
+ */
+function respondToTakenKey(res, existing, requestHash) {
+  if (existing && existing.request_hash !== requestHash) {
+    return res.status(422).json({
+      message: "Idempotency-Key was already used with a different request"
+    });
+  }
+  if (!existing || !existing.status) {
+    // The key's report is gone, or the key expired since it was taken
+    return res.status(409).json({
+      message: "A request with this Idempotency-Key is still in progress"
+    });
+  }
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(existing.response_status).json(parseJsonColumn(existing.response_body, {}));
+}
 
 /**
  * POST /api/reports/generate
- * Accepts report generation requests and publishes to RabbitMQ
- * Returns 202 Accepted with report_id immediately
+ * Accepts report generation requests and queues them through the outbox
+ * Returns 202 Accepted with report_id once the broker has confirmed the job,
+ * or 503 Service Unavailable with Retry-After when it cannot take more work
  */
 exports.generateReport = async (req, res) => {
   try {
-    const { report_type, parameters } = req.body;
+    const {
+      report_type,
+      parameters,
+      format: requested_format,
+      download_url_ttl,
+      priority: requested_priority
+    } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key');
 
     // Input validation
+    if (idempotencyKey !== undefined && !idempotency.isValidKey(idempotencyKey)) {
+      return res.status(400).json({
+        message: "Idempotency-Key must be 1-255 visible ASCII characters"
+      });
+    }
+
     if (!report_type || typeof report_type !== 'string') {
       return res.status(400).json({
         message: "report_type is required and must be a string"
@@ -24,75 +140,176 @@ exports.generateReport = async (req, res) => {
       });
     }
 
-    const report_id = uuidv4();
-    const request_payload = { report_type, parameters: parameters || {} };
+    if (requested_format !== undefined &&
+        (typeof requested_format !== 'string' || !isSupportedFormat(requested_format))) {
+      return res.status(400).json({
+        message: `format must be one of: ${SUPPORTED_FORMATS.join(', ')}`
+      });
+    }
+
+    // Per-type parameter validation against the registered schema
+    const validationErrors = validateReportParameters(report_type, parameters || {});
+    if (validationErrors.length > 0) {
+      return res.status(422).json({
+        message: "Invalid report parameters",
+        errors: validationErrors
+      });
+    }
+
+    const supportedFormats = registry.getSupportedFormats(report_type);
+    const format = requested_format || registry.getDefaultFormat(report_type);
+    if (!supportedFormats.includes(format)) {
+      return res.status(400).json({
+        message: `format must be one of: ${supportedFormats.join(', ')} for ${report_type}`
+      });
+    }
+
+    if (download_url_ttl !== undefined &&
+        (!Number.isInteger(download_url_ttl) || download_url_ttl < 1 ||
+         download_url_ttl > signedUrls.MAX_TTL_SECONDS)) {
+      return res.status(400).json({
+        message: `download_url_ttl must be an integer between 1 and ${signedUrls.MAX_TTL_SECONDS} seconds`
+      });
+    }
+
+    if (requested_priority !== undefined && !priorities.isValidPriority(requested_priority)) {
+      return res.status(400).json({
+        message: `priority must be an integer between 0 and ${priorities.getMaxPriority()}`
+      });
+    }
+
+    const request_payload = { report_type, parameters: parameters || {}, format };
+    if (download_url_ttl !== undefined) {
+      request_payload.download_url_ttl = download_url_ttl;
+    }
+
+    const owner_id = getClientId(req);
+    // Lowered to the client's cap rather than rejected
+    const priority = priorities.resolvePriority(requested_priority, owner_id);
+    const request_hash = reportCache.computeRequestHash(request_payload);
+
+    // Reuse a fresh or in-flight identical report unless the client asks for a new one
+    let reusable = null;
+    if (!/\bno-cache\b/i.test(req.get('Cache-Control') || '')) {
+      try {
+        reusable = await reportCache.findReusableReport(request_hash, registry.getCacheTtlSeconds(report_type), {
+          ownerId: owner_id,
+          priority
+        });
+      } catch (dbError) {
+        console.error('❌ Database error looking up reusable reports:', dbError);
+        return res.status(500).json({
+          message: "Database error"
+        });
+      }
+    }
+
+    const report_id = reusable ? reusable.id : crypto.randomUUID();
+    const completed = reusable && reusable.status === 'completed';
+    // The answer to this request, kept with its Idempotency-Key for replays
+    const response = reusable
+      ? {
+        statusCode: completed ? 200 : 202,
+        body: {
+          report_id,
+          status: reusable.status,
+          format,
+          reused: true,
+          message: completed ? "Identical report already available." : "Identical report already in progress."
+        }
+      }
+      : {
+        statusCode: 202,
+        body: { report_id, status: "pending", format, priority, message: "Report generation initiated." }
+      };
+    const idempotencyClaim = idempotencyKey
+      ? {
+        key: idempotencyKey,
+        ownerId: owner_id,
+        reportId: report_id,
+        requestHash: idempotency.hashRequest(request_payload),
+        response
+      }
+      : null;
+    // Looks up the key's report once a claim lost the race
+    const respondToTakenClaim = async () => {
+      const existing = await idempotency.findKey(idempotencyClaim);
+      return respondToTakenKey(res, existing, idempotencyClaim.requestHash);
+    };
+
+    if (idempotencyClaim) {
+      try {
+        const existing = await idempotency.findKey(idempotencyClaim);
+        if (existing) {
+          return respondToTakenKey(res, existing, idempotencyClaim.requestHash);
+        }
+        await idempotency.deleteExpiredKey(idempotencyClaim);
+
+        // The reused report already exists, so the key is claimed on its own
+        if (reusable && !(await idempotency.claimKey(runQuery, idempotencyClaim))) {
+          return await respondToTakenClaim();
+        }
+      } catch (dbError) {
+        console.error('❌ Database error claiming idempotency key:', dbError);
+        return res.status(500).json({
+          message: "Database error"
+        });
+      }
+    }
+
+    if (reusable) {
+      console.log(`♻️ Reusing ${reusable.status} report ${report_id} for an identical request`);
+      return res.status(response.statusCode).json(response.body);
+    }
+
+    if (await rejectWhenOverloaded(res, report_type)) {
+      return;
+    }
 
     const query = `
       INSERT INTO reports 
-      (id, report_type, request_payload, status, retry_count)
-      VALUES (?, ?, ?, ?, ?)
+      (id, report_type, request_payload, status, retry_count, owner_id, request_hash, priority)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    db.query(
-      query,
-      [
-        report_id,
-        report_type,
-        JSON.stringify(request_payload),
-        "pending",
-        0
-      ],
-      (err, result) => {
-        if (err) {
-          console.error('❌ Database error during report creation:', err);
-          return res.status(500).json({
-            message: "Database error"
-          });
+    // The idempotency key, the report row and its job message commit together
+    let created;
+    try {
+      created = await withTransaction(async (transactionQuery) => {
+        if (idempotencyClaim && !(await idempotency.claimKey(transactionQuery, idempotencyClaim))) {
+          return false;
         }
 
-        // Publish message to RabbitMQ
-        try {
-          const channel = getChannel();
-          const exchange = process.env.RABBITMQ_EXCHANGE || 'report_exchange';
-          const routingKey = process.env.RABBITMQ_ROUTING_KEY || 'report_key';
-
-          const messagePayload = {
-            report_id,
-            report_type,
-            parameters: parameters || {},
-            timestamp: new Date().toISOString()
-          };
-
-          channel.publish(
-            exchange,
-            routingKey,
-            Buffer.from(JSON.stringify(messagePayload)),
-            { persistent: true }
-          );
-
-          console.log(`✅ Report ${report_id} queued successfully`);
-
-          return res.status(202).json({
-            report_id,
-            status: "pending",
-            message: "Report generation initiated."
-          });
-        } catch (mqError) {
-          console.error('❌ RabbitMQ error during message publishing:', mqError);
-          
-          // Rollback: delete the report from database if message publishing fails
-          db.query('DELETE FROM reports WHERE id = ?', [report_id], (delErr) => {
-            if (delErr) {
-              console.error('❌ Failed to rollback report:', delErr);
-            }
-          });
+        await transactionQuery(query, [
+          report_id,
+          report_type,
+          JSON.stringify(request_payload),
+          "pending",
+          0,
+          owner_id,
+          request_hash,
+          priority
+        ]);
+        await enqueueReportJob(transactionQuery, report_id, request_payload, priority);
+        return true;
+      });
 
-          return res.status(500).json({
-            message: "Failed to queue report generation"
-          });
-        }
+      // A concurrent request with the same key claimed it first
+      if (!created) {
+        return await respondToTakenClaim();
       }
-    );
+    } catch (err) {
+      console.error('❌ Database error during report creation:', err);
+      return res.status(500).json({
+        message: "Database error"
+      });
+    }
+
+    const queued = await publishCommittedJob(report_id);
+    console.log(`✅ Report ${report_id} ${queued ? 'queued' : 'accepted'} successfully`);
+
+    // queued only describes this request's publish, so replays leave it out
+    return res.status(response.statusCode).json({ ...response.body, queued });
   } catch (error) {
     console.error('❌ Unexpected error in generateReport:', error);
     res.status(500).json({
@@ -101,6 +318,203 @@ exports.generateReport = async (req, res) => {
   }
 };
 
+/**
+ * Encodes the position after a row as an opaque pagination cursor
+ */
+function encodeCursor(report, sort) {
+  const position = { c: new Date(report.created_at).toISOString(), i: report.id, s: sort };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decodes a pagination cursor, returning null when it is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof position.i !== 'string' || isNaN(Date.parse(position.c))) {
+      return null;
+    }
+    return { createdAt: new Date(position.c), id: position.i, sort: position.s };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * GET /api/reports
+ * Lists reports filtered by status, report_type, owner and created-at range,
+ * sorted by created_at and paginated with an opaque cursor
+ */
+exports.listReports = async (req, res) => {
+  try {
+    const {
+      status,
+      report_type,
+      owner,
+      created_after,
+      created_before,
+      sort = 'desc',
+      cursor
+    } = req.query;
+
+    for (const [name, value] of Object.entries(req.query)) {
+      if (typeof value !== 'string') {
+        return res.status(400).json({
+          message: `${name} must be a single value`
+        });
+      }
+    }
+
+    if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${REPORT_STATUSES.join(', ')}`
+      });
+    }
+
+    if (sort !== 'asc' && sort !== 'desc') {
+      return res.status(400).json({
+        message: "sort must be asc or desc"
+      });
+    }
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}`
+      });
+    }
+
+    for (const [name, value] of [['created_after', created_after], ['created_before', created_before]]) {
+      if (value !== undefined && isNaN(Date.parse(value))) {
+        return res.status(400).json({
+          message: `${name} must be an ISO 8601 date`
+        });
+      }
+    }
+
+    const conditions = [];
+    const values = [];
+
+    if (status) {
+      conditions.push('status = ?');
+      values.push(status);
+    }
+    if (report_type) {
+      conditions.push('report_type = ?');
+      values.push(report_type);
+    }
+    if (owner) {
+      conditions.push('owner_id = ?');
+      values.push(owner);
+    }
+    if (created_after) {
+      conditions.push('created_at >= ?');
+      values.push(new Date(created_after));
+    }
+    if (created_before) {
+      conditions.push('created_at < ?');
+      values.push(new Date(created_before));
+    }
+
+    if (cursor !== undefined) {
+      const position = decodeCursor(cursor);
+      if (!position || position.sort !== sort) {
+        return res.status(400).json({
+          message: "Invalid cursor"
+        });
+      }
+
+      // Keyset pagination on (created_at, id) so pages stay stable under inserts
+      const comparator = sort === 'desc' ? '<' : '>';
+      conditions.push(`(created_at ${comparator} ? OR (created_at = ? AND id ${comparator} ?))`);
+      values.push(position.createdAt, position.createdAt, position.id);
+    }
+
+    const direction = sort === 'desc' ? 'DESC' : 'ASC';
+    const query = `
+      SELECT id, report_type, request_payload, status, owner_id, failure_reason, error_code,
+             retry_count, priority, created_at, updated_at
+      FROM reports
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at ${direction}, id ${direction}
+      LIMIT ?
+    `;
+    values.push(limit + 1);
+
+    db.query(query, values, (err, results) => {
+      if (err) {
+        console.error('❌ Database error listing reports:', err);
+        return res.status(500).json({
+          message: "Database error"
+        });
+      }
+
+      const page = results.slice(0, limit);
+      const hasMore = results.length > limit;
+
+      return res.status(200).json({
+        reports: page.map(report => ({
+          report_id: report.id,
+          report_type: report.report_type,
+          status: report.status,
+          format: parseJsonColumn(report.request_payload, {}).format || DEFAULT_FORMAT,
+          owner: report.owner_id,
+          failure_reason: report.failure_reason,
+          error_code: report.error_code || null,
+          retry_count: report.retry_count,
+          priority: report.priority,
+          created_at: report.created_at,
+          updated_at: report.updated_at
+        })),
+        next_cursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+      });
+    });
+  } catch (error) {
+    console.error('❌ Unexpected error in listReports:', error);
+    res.status(500).json({
+      message: "Internal server error"
+    });
+  }
+};
+
+/**
+ * GET /api/reports/types
+ * Lists every registered report type with its parameter schema,
+ * supported output formats and estimated runtime
+ */
+exports.listReportTypes = (req, res) => {
+  const types = registry.listGenerators().map(generator => registry.describeReportType(generator.type));
+
+  return res.status(200).json({ types });
+};
+
+/**
+ * Estimates when a processing report will complete: extrapolated from the
+ * time its attempt took to reach the reported percent, or from the report
+ * type's estimated runtime until the generator reports any progress
+ * @returns {Date|null} null when there is nothing to estimate from
+ */
+function estimateCompletion(report) {
+  if (report.status !== 'processing' || !report.started_at) {
+    return null;
+  }
+
+  const startedAt = new Date(report.started_at).getTime();
+  const percent = report.progress_percent || 0;
+  if (percent > 0) {
+    const elapsedMs = Math.max(0, Date.now() - startedAt);
+    return new Date(startedAt + elapsedMs * 100 / percent);
+  }
+
+  const estimatedSeconds = registry.hasGenerator(report.report_type)
+    ? registry.getGenerator(report.report_type).estimatedRuntimeSeconds
+    : null;
+  const estimate = estimatedSeconds ? new Date(startedAt + estimatedSeconds * 1000) : null;
+  // Past its estimated runtime with no progress: no sensible guess left
+  return estimate && estimate.getTime() > Date.now() ? estimate : null;
+}
+
 /**
  * GET /api/reports/:id/status
  * Returns current status and details of a report
@@ -110,8 +524,7 @@ exports.getReportStatus = async (req, res) => {
     const report_id = req.params.id;
 
     // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(report_id)) {
+    if (!isValidReportId(report_id)) {
       return res.status(400).json({
         message: "Invalid report_id format"
       });
@@ -134,13 +547,34 @@ exports.getReportStatus = async (req, res) => {
       }
 
       const report = results[0];
+      const request_payload = parseJsonColumn(report.request_payload, {});
+      const download = report.status === 'completed' && report.artifact_key
+        ? buildDownloadUrl(req, report.id, request_payload.download_url_ttl)
+        : null;
+      const estimatedCompletion = estimateCompletion(report);
 
       return res.status(200).json({
         report_id: report.id,
         status: report.status,
-        generated_url: report.generated_url,
+        format: request_payload.format || DEFAULT_FORMAT,
+        mime_type: report.mime_type || null,
+        generated_url: download ? download.url : null,
+        generated_url_expires_at: download ? download.expiresAt : null,
         failure_reason: report.failure_reason,
-        retry_count: report.retry_count
+        error_code: report.error_code || null,
+        retry_count: report.retry_count,
+        priority: report.priority,
+        next_attempt_at: report.status === 'pending' && report.next_attempt_at
+          ? new Date(report.next_attempt_at).toISOString()
+          : null,
+        started_at: report.started_at ? new Date(report.started_at).toISOString() : null,
+        progress: report.status === 'processing' ? {
+          percent: report.progress_percent || 0,
+          stage: report.progress_stage || null,
+          message: report.progress_message || null,
+          updated_at: report.progress_updated_at ? new Date(report.progress_updated_at).toISOString() : null
+        } : null,
+        estimated_completion_at: estimatedCompletion ? estimatedCompletion.toISOString() : null
       });
     });
   } catch (error) {
@@ -150,3 +584,270 @@ exports.getReportStatus = async (req, res) => {
     });
   }
 };
+
+/**
+ * GET /api/reports/:id/download?expires=...&signature=...
+ * Streams the generated artifact of a completed report
+ * Returns 403 Forbidden for tampered or expired links and
+ * 409 Conflict while the report is not completed
+ */
+exports.downloadReport = async (req, res) => {
+  try {
+    const report_id = req.params.id;
+
+    if (!isValidReportId(report_id)) {
+      return res.status(400).json({
+        message: "Invalid report_id format"
+      });
+    }
+
+    const verification = signedUrls.verifyDownload(report_id, req.query.expires, req.query.signature);
+    if (!verification.valid) {
+      return res.status(403).json({
+        message: verification.reason
+      });
+    }
+
+    db.query('SELECT * FROM reports WHERE id = ?', [report_id], async (err, results) => {
+      if (err) {
+        console.error('❌ Database error fetching report for download:', err);
+        return res.status(500).json({
+          message: "Database error"
+        });
+      }
+
+      if (results.length === 0) {
+        return res.status(404).json({
+          message: "Report not found"
+        });
+      }
+
+      const report = results[0];
+
+      if (report.status !== 'completed') {
+        return res.status(409).json({
+          message: `Report is not ready for download (status: ${report.status})`,
+          status: report.status
+        });
+      }
+
+      if (!report.artifact_key) {
+        return res.status(404).json({
+          message: "Report artifact not found"
+        });
+      }
+
+      try {
+        const stream = await getStorage().getStream(report.artifact_key);
+        const extension = report.artifact_key.split('.').pop();
+        const filename = `${report.report_type}-${report.id}.${extension}`.replace(/[^\w.-]/g, '_');
+
+        res.status(200);
+        res.set('Content-Type', report.mime_type || 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        if (report.artifact_size) {
+          res.set('Content-Length', String(report.artifact_size));
+        }
+
+        stream.on('error', (streamError) => {
+          console.error(`❌ Error streaming report ${report_id}:`, streamError);
+          res.destroy(streamError);
+        });
+        stream.pipe(res);
+      } catch (storageError) {
+        if (storageError instanceof ArtifactNotFoundError) {
+          return res.status(404).json({
+            message: "Report artifact not found"
+          });
+        }
+        console.error('❌ Storage error during report download:', storageError);
+        return res.status(500).json({
+          message: "Storage error"
+        });
+      }
+    });
+  } catch (error) {
+    console.error('❌ Unexpected error in downloadReport:', error);
+    res.status(500).json({
+      message: "Internal server error"
+    });
+  }
+};
+
+/**
+ * POST /api/reports/:id/cancel
+ * Marks a pending or processing report as cancelled and tells the workers
+ * to abort it if one is currently generating it
+ * Returns 409 Conflict when the report has already finished
+ */
+exports.cancelReport = async (req, res) => {
+  try {
+    const report_id = req.params.id;
+
+    if (!isValidReportId(report_id)) {
+      return res.status(400).json({
+        message: "Invalid report_id format"
+      });
+    }
+
+    db.query('SELECT id, status FROM reports WHERE id = ?', [report_id], (err, results) => {
+      if (err) {
+        console.error('❌ Database error fetching report for cancellation:', err);
+        return res.status(500).json({
+          message: "Database error"
+        });
+      }
+
+      if (results.length === 0) {
+        return res.status(404).json({
+          message: "Report not found"
+        });
+      }
+
+      const report = results[0];
+
+      if (!CANCELLABLE_STATUSES.includes(report.status)) {
+        return res.status(409).json({
+          message: `Report cannot be cancelled (status: ${report.status})`,
+          status: report.status
+        });
+      }
+
+      const query = `
+        UPDATE reports
+        SET status = 'cancelled', cancelled_at = NOW()
+        WHERE id = ? AND status IN (?)
+      `;
+
+      db.query(query, [report_id, CANCELLABLE_STATUSES], (updateErr, result) => {
+        if (updateErr) {
+          console.error('❌ Database error cancelling report:', updateErr);
+          return res.status(500).json({
+            message: "Database error"
+          });
+        }
+
+        if (result.affectedRows === 0) {
+          return res.status(409).json({
+            message: "Report finished before it could be cancelled"
+          });
+        }
+
+        // Signal the worker generating it; the status guard in the worker
+        // keeps the report cancelled even if this broadcast is lost
+        publishConfirmed(
+          getTopology().controlExchange,
+          '',
+          Buffer.from(JSON.stringify({ type: 'cancel', report_id }))
+        ).catch(mqError => {
+          console.error(`⚠️ Failed to broadcast cancellation of ${report_id}:`, mqError.message);
+        });
+
+        console.log(`🚫 Report ${report_id} cancelled`);
+
+        return res.status(200).json({
+          report_id,
+          status: "cancelled",
+          message: "Report cancelled."
+        });
+      });
+    });
+  } catch (error) {
+    console.error('❌ Unexpected error in cancelReport:', error);
+    res.status(500).json({
+      message: "Internal server error"
+    });
+  }
+};
+
+/**
+ * POST /api/reports/:id/retry
+ * Re-runs a failed report: resets its retry budget, clears the failure and
+ * requeues the original request_payload, recording who triggered it
+ * Returns 409 Conflict unless the report is failed, and 503 with Retry-After
+ * when the broker cannot take more work
+ */
+exports.retryReport = async (req, res) => {
+  const report_id = req.params.id;
+  // Callers without X-Client-Id are still audited, under an explicit name
+  const actor = getClientId(req) || 'anonymous';
+
+  if (!isValidReportId(report_id)) {
+    return res.status(400).json({
+      message: "Invalid report_id format"
+    });
+  }
+
+  let report;
+  try {
+    const results = await runQuery('SELECT * FROM reports WHERE id = ?', [report_id]);
+
+    if (results.length === 0) {
+      return res.status(404).json({
+        message: "Report not found"
+      });
+    }
+
+    report = results[0];
+
+    if (report.status !== 'failed') {
+      return res.status(409).json({
+        message: `Only failed reports can be re-run (status: ${report.status})`,
+        status: report.status
+      });
+    }
+
+    if (await rejectWhenOverloaded(res, report.report_type)) {
+      return;
+    }
+
+    // Reset, audit entry and job message commit together
+    const restarted = await withTransaction(async (transactionQuery) => {
+      const reset = await transactionQuery(`
+        UPDATE reports
+        SET status = 'pending', retry_count = 0, failure_reason = NULL, error_code = NULL
+        WHERE id = ? AND status = 'failed'
+      `, [report_id]);
+
+      if (reset.affectedRows === 0) {
+        return false;
+      }
+
+      await transactionQuery(`
+        INSERT INTO report_events (report_id, event_type, actor, details)
+        VALUES (?, 'manual_retry', ?, ?)
+      `, [
+        report_id,
+        actor,
+        JSON.stringify({
+          previous_failure_reason: report.failure_reason,
+          previous_error_code: report.error_code || null,
+          previous_retry_count: report.retry_count
+        })
+      ]);
+      await enqueueReportJob(transactionQuery, report_id, parseJsonColumn(report.request_payload, {}), report.priority);
+      return true;
+    });
+
+    if (!restarted) {
+      return res.status(409).json({
+        message: "Report is already being re-run"
+      });
+    }
+  } catch (dbError) {
+    console.error('❌ Database error during report re-run:', dbError);
+    return res.status(500).json({
+      message: "Database error"
+    });
+  }
+
+  const queued = await publishCommittedJob(report_id);
+  console.log(`🔁 Report ${report_id} re-run by ${actor}`);
+
+  return res.status(202).json({
+    report_id,
+    status: "pending",
+    queued,
+    message: "Report re-run initiated."
+  });
+};
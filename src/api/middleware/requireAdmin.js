@@ -0,0 +1,28 @@
+/**
+ * Admin authentication middleware
+ * Admin endpoints require `Authorization: Bearer <ADMIN_API_TOKEN>`;
+ * they are disabled when ADMIN_API_TOKEN is not configured.
+ */
+const crypto = require('crypto');
+
+module.exports = function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+
+  if (!token) {
+    return res.status(403).json({
+      message: "Admin API is disabled"
+    });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      message: "Invalid admin token"
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+
+const requireAdmin = require('../middleware/requireAdmin');
+const adminController = require('../controllers/adminController');
+
+router.use(requireAdmin);
+
+// GET dead-lettered messages
+router.get('/dlq', adminController.listDeadLetters);
+
+// POST replay dead-lettered messages
+router.post('/dlq/replay', adminController.replayDeadLetters);
+
+// POST purge dead-lettered messages
+router.post('/dlq/purge', adminController.purgeDeadLetters);
+
+module.exports = router;
@@ -6,7 +6,22 @@ const reportsController = require('../controllers/reportsController');
 // POST generate report
 router.post('/generate', reportsController.generateReport);
 
+// GET list and search reports
+router.get('/', reportsController.listReports);
+
+// GET registered report types
+router.get('/types', reportsController.listReportTypes);
+
 // GET report status
 router.get('/:id/status', reportsController.getReportStatus);
 
+// GET report artifact
+router.get('/:id/download', reportsController.downloadReport);
+
+// POST cancel a pending or processing report
+router.post('/:id/cancel', reportsController.cancelReport);
+
+// POST re-run a failed report
+router.post('/:id/retry', reportsController.retryReport);
+
 module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * Backpressure Service
+ * Decides whether the API should accept new report jobs, so clients get a
+ * 503 with Retry-After instead of piling work onto a broker that cannot take it.
+ */
+const { getChannel, getBrokerStatus } = require('../../config/rabbitmq');
+const { reportQueueFor } = require('../../config/topology');
+
+const QUEUE_DEPTH_CACHE_MS = 1000;
+
+// Last observed depth per report queue: queue => { depth, checkedAt }
+const queueDepthCache = new Map();
+
+function getRetryAfterSeconds() {
+  return parseInt(process.env.BACKPRESSURE_RETRY_AFTER_SECONDS || '5');
+}
+
+/**
+ * Reads a report queue's depth, cached briefly so a burst of requests does
+ * not turn into a burst of queue declarations
+ * @param {string} queue - Queue name
+ * @returns {Promise<number>} Ready messages in the queue
+ */
+async function getQueueDepth(queue) {
+  const now = Date.now();
+  const cached = queueDepthCache.get(queue);
+  if (cached && now - cached.checkedAt < QUEUE_DEPTH_CACHE_MS) {
+    return cached.depth;
+  }
+
+  const { messageCount } = await getChannel().checkQueue(queue);
+  queueDepthCache.set(queue, { depth: messageCount, checkedAt: now });
+  return messageCount;
+}
+
+/**
+ * Checks whether the broker can accept more work of a report type
+ * MAX_QUEUE_DEPTH caps each report type's queue backlog; 0 (the default)
+ * disables the cap, so a backlog of one type does not block the others.
+ * @param {string} reportType - Type of report to be queued
+ * @returns {Promise<object|null>} null when there is capacity, otherwise
+ *   { reason, retryAfterSeconds }
+ */
+async function checkCapacity(reportType) {
+  const retryAfterSeconds = getRetryAfterSeconds();
+  const { connected, blocked, draining } = getBrokerStatus();
+
+  if (!connected) {
+    return { reason: 'Message broker is unavailable', retryAfterSeconds };
+  }
+  if (blocked) {
+    return { reason: 'Message broker is under resource pressure', retryAfterSeconds };
+  }
+  if (draining) {
+    return { reason: 'Message broker is not keeping up with publishes', retryAfterSeconds };
+  }
+
+  const maxQueueDepth = parseInt(process.env.MAX_QUEUE_DEPTH || '0');
+  if (maxQueueDepth > 0) {
+    try {
+      const depth = await getQueueDepth(reportQueueFor(reportType));
+      if (depth >= maxQueueDepth) {
+        return { reason: `Report queue for ${reportType} is full (${depth} jobs waiting)`, retryAfterSeconds };
+      }
+    } catch (error) {
+      // The broker state checks above already passed; let the outbox absorb the job
+      console.error('⚠️ Could not read report queue depth:', error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Clears the cached queue depth (used by tests)
+ */
+function resetQueueDepthCache() {
+  queueDepthCache.clear();
+}
+
+module.exports = { checkCapacity, resetQueueDepthCache };
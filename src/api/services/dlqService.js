@@ -0,0 +1,260 @@
+/**
+ * Dead-Letter Queue Service
+ * Inspects, replays and purges messages in the per-report-type DLQs.
+ * Used by the admin API and the on-call CLI (src/cli/dlq.js).
+ */
+const { runQuery } = require('../../config/query');
+const { openChannel } = require('../../config/rabbitmq');
+const { withTransaction } = require('../../config/transaction');
+const { getTopology, dlqFor } = require('../../config/topology');
+const { enqueueReportJob, publishReportJob } = require('../../outbox/reportJobs');
+
+// Most messages one replay takes off the DLQs, so a large backlog is never
+// held unacknowledged on a single channel
+const MAX_REPLAY_BATCH = 500;
+
+/**
+ * DLQs to work on: the given report type's, or every type's
+ * @param {string} [reportType] - Restrict to one report type
+ * @returns {object[]} [{ reportType, queue }]
+ */
+function selectQueues(reportType) {
+  const types = reportType ? [reportType] : getTopology().reportTypes;
+  return types.map(type => ({ reportType: type, queue: dlqFor(type) }));
+}
+
+/**
+ * Parses a dead-lettered message into its job payload and death history
+ */
+function describeMessage(msg) {
+  let payload = null;
+  try {
+    payload = JSON.parse(msg.content.toString());
+  } catch (error) {
+    // Malformed bodies are listed but never replayed
+  }
+
+  const headers = msg.properties.headers || {};
+  const deaths = headers['x-death'] || [];
+  const routingKeys = deaths.length > 0 ? deaths[0]['routing-keys'] : null;
+
+  return {
+    report_id: payload ? payload.report_id : null,
+    report_type: payload ? payload.report_type : null,
+    original_routing_key: routingKeys && routingKeys.length > 0 ? routingKeys[0] : null,
+    x_death: deaths,
+    payload
+  };
+}
+
+/**
+ * Takes up to max messages off the queue without acknowledging them, stopping
+ * early after the message for which the optional isLast(msg) returns true
+ */
+async function fetchMessages(channel, queue, max, isLast = null) {
+  const messages = [];
+  while (messages.length < max) {
+    const msg = await channel.get(queue, { noAck: false });
+    if (!msg) break;
+    messages.push(msg);
+    if (isLast && isLast(msg)) break;
+  }
+  return messages;
+}
+
+/**
+ * Returns messages to the DLQ and closes the inspection channel
+ */
+async function releaseMessages(channel, messages) {
+  try {
+    for (const msg of messages) {
+      channel.nack(msg, false, true);
+    }
+    await channel.close();
+  } catch (error) {
+    // The broker requeues unacknowledged messages of a closed channel anyway
+    console.error('❌ Error releasing DLQ inspection channel:', error.message);
+  }
+}
+
+/**
+ * Lists DLQ messages with their x-death headers and linked report rows.
+ * Messages stay in their queues.
+ * @param {object} [options] - { limit } across all queues, { reportType } to
+ *   only read that type's DLQ
+ * @returns {Promise<object>} { queues, message_count, messages }
+ */
+async function listDeadLetters({ limit = 50, reportType = null } = {}) {
+  const channel = await openChannel();
+  const queues = [];
+  let messages = [];
+
+  try {
+    for (const { reportType: type, queue } of selectQueues(reportType)) {
+      const { messageCount } = await channel.checkQueue(queue);
+      queues.push({ queue, report_type: type, message_count: messageCount });
+      messages = messages.concat(await fetchMessages(channel, queue, Math.min(limit - messages.length, messageCount)));
+    }
+
+    const entries = messages.map(describeMessage);
+    const reportIds = entries.map(entry => entry.report_id).filter(Boolean);
+    const reports = reportIds.length > 0
+      ? await runQuery(
+        'SELECT id, status, retry_count, failure_reason, error_code, updated_at FROM reports WHERE id IN (?)',
+        [reportIds]
+      )
+      : [];
+    const reportsById = new Map(reports.map(report => [report.id, report]));
+
+    return {
+      queues,
+      message_count: queues.reduce((total, queue) => total + queue.message_count, 0),
+      messages: entries.map(entry => ({
+        ...entry,
+        report: reportsById.get(entry.report_id) || null
+      }))
+    };
+  } finally {
+    await releaseMessages(channel, messages);
+  }
+}
+
+/**
+ * Replays DLQ messages onto the report exchange with a fresh retry budget.
+ * Only messages whose report is still `failed` are replayed; the rest stay in the DLQ.
+ * The report's reset, its audit entry and the new job commit together through
+ * the outbox, so a failed publish leaves the job to the relay rather than a
+ * pending report without one. Reading stops once every selected report's
+ * message has been found, and after MAX_REPLAY_BATCH messages.
+ * @param {object} options - { reportIds } or { all: true }, plus the acting
+ *   { actor } and optionally { reportType } to only read that type's DLQ
+ * @returns {Promise<object>} { replayed, skipped }
+ */
+async function replayDeadLetters({ reportIds, all = false, actor = null, reportType = null }) {
+  const selected = new Set(reportIds || []);
+  const unseen = new Set(selected);
+  const channel = await openChannel();
+  const kept = [];
+  const replayed = [];
+  const skipped = [];
+
+  // Notes a selected report's message, true once none is left to find
+  const foundAll = msg => {
+    unseen.delete(describeMessage(msg).report_id);
+    return unseen.size === 0;
+  };
+
+  try {
+    let messages = [];
+    for (const { queue } of selectQueues(reportType)) {
+      if (messages.length >= MAX_REPLAY_BATCH || (!all && unseen.size === 0)) break;
+      const { messageCount } = await channel.checkQueue(queue);
+      messages = messages.concat(await fetchMessages(
+        channel, queue, Math.min(MAX_REPLAY_BATCH - messages.length, messageCount), all ? null : foundAll
+      ));
+    }
+
+    for (const msg of messages) {
+      const entry = describeMessage(msg);
+
+      if (!entry.report_id || !entry.report_type || !(all || selected.has(entry.report_id))) {
+        kept.push(msg);
+        continue;
+      }
+
+      let restarted;
+      try {
+        restarted = await withTransaction(async query => {
+          const reset = await query(`
+            UPDATE reports
+            SET status = 'pending', retry_count = 0, failure_reason = NULL, error_code = NULL
+            WHERE id = ? AND status = 'failed'
+          `, [entry.report_id]);
+
+          if (reset.affectedRows === 0) {
+            return false;
+          }
+
+          await query(`
+            INSERT INTO report_events (report_id, event_type, actor, details)
+            VALUES (?, 'dlq_replay', ?, ?)
+          `, [entry.report_id, actor, JSON.stringify({ x_death: entry.x_death })]);
+
+          // A new job for the type's queue, without the x-death history so
+          // the worker starts a fresh budget
+          await enqueueReportJob(query, entry.report_id, entry.payload, msg.properties.priority);
+          return true;
+        });
+      } catch (error) {
+        kept.push(msg);
+        throw error;
+      }
+
+      if (!restarted) {
+        skipped.push({ report_id: entry.report_id, reason: 'Report is not failed' });
+        kept.push(msg);
+        continue;
+      }
+
+      // The outbox owns the job now
+      channel.ack(msg);
+      replayed.push(entry.report_id);
+
+      // Publish right away; the relay picks up anything missed
+      await publishReportJob(entry.report_id);
+    }
+
+    console.log(`🔁 Replayed ${replayed.length} dead-lettered message(s)`);
+    return { replayed, skipped };
+  } finally {
+    await releaseMessages(channel, kept);
+  }
+}
+
+/**
+ * Removes messages from the DLQs
+ * @param {object} options - { reportIds } or { all: true }, and optionally
+ *   { reportType } to only touch that type's DLQ
+ * @returns {Promise<object>} { purged }
+ */
+async function purgeDeadLetters({ reportIds, all = false, reportType = null }) {
+  const channel = await openChannel();
+  const selected = new Set(reportIds || []);
+  const kept = [];
+  let purged = 0;
+
+  try {
+    for (const { queue } of selectQueues(reportType)) {
+      if (all) {
+        const { messageCount } = await channel.purgeQueue(queue);
+        purged += messageCount;
+        continue;
+      }
+
+      const { messageCount } = await channel.checkQueue(queue);
+      const messages = await fetchMessages(channel, queue, messageCount);
+
+      for (const msg of messages) {
+        const entry = describeMessage(msg);
+        if (entry.report_id && selected.has(entry.report_id)) {
+          channel.ack(msg);
+          purged++;
+        } else {
+          kept.push(msg);
+        }
+      }
+    }
+
+    console.log(`🗑️ Purged ${purged} dead-lettered message(s)`);
+    return { purged };
+  } finally {
+    await releaseMessages(channel, kept);
+  }
+}
+
+module.exports = {
+  MAX_REPLAY_BATCH,
+  listDeadLetters,
+  replayDeadLetters,
+  purgeDeadLetters
+};
@@ -0,0 +1,115 @@
+/**
+ * Idempotency Service
+ * Remembers which report an `Idempotency-Key` created, so a client retrying
+ * POST /api/reports/generate gets the original report instead of a duplicate.
+ * Keys are scoped per client (X-Client-Id) and expire after a configurable window.
+ */
+const { runQuery } = require('../../config/query');
+const { canonicalHash } = require('../utils/canonicalJson');
+
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS || '86400');
+
+/**
+ * Checks an Idempotency-Key header value: 1-255 visible ASCII characters
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH &&
+    /^[\x21-\x7e]+$/.test(key);
+}
+
+/**
+ * Hashes a normalized request payload
+ * @param {object} requestPayload - { report_type, parameters, format, ... }
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashRequest(requestPayload) {
+  return canonicalHash(requestPayload);
+}
+
+/**
+ * Looks up the report an unexpired key points at
+ * @param {object} options - { key, ownerId }
+ * @returns {Promise<object|null>} { report_id, request_hash, response_status,
+ *   response_body, status } or null, status being NULL once the report is gone
+ */
+async function findKey({ key, ownerId }) {
+  const rows = await runQuery(`
+    SELECT k.report_id, k.request_hash, k.response_status, k.response_body, r.status
+    FROM idempotency_keys k
+    LEFT JOIN reports r ON r.id = k.report_id
+    WHERE k.owner_id = ? AND k.idempotency_key = ? AND k.expires_at > NOW()
+  `, [ownerId || '', key]);
+
+  return rows[0] || null;
+}
+
+/**
+ * Frees a key whose window has passed, so it can be claimed again. Runs on
+ * its own rather than in the report's transaction: a DELETE matching no row
+ * takes a gap lock, and two concurrent first uses of a key holding it would
+ * deadlock on each other's INSERT.
+ * @param {object} options - { key, ownerId }
+ */
+async function deleteExpiredKey({ key, ownerId }) {
+  await runQuery(
+    'DELETE FROM idempotency_keys WHERE owner_id = ? AND idempotency_key = ? AND expires_at <= NOW()',
+    [ownerId || '', key]
+  );
+}
+
+/**
+ * Claims a key for a report. Run it in the transaction that creates the
+ * report, so a key never outlives a report that was not created. The
+ * (owner_id, idempotency_key) primary key makes concurrent claims race
+ * safely: exactly one INSERT wins, and the others wait for its transaction
+ * and then fail with ER_DUP_ENTRY. When the winner rolls back instead, the
+ * waiters can deadlock among themselves; the one InnoDB picks as the victim
+ * has lost the claim too.
+ * @param {Function} query - query(sql, values), transactional when creating a report
+ * @param {object} options - { key, ownerId, reportId, requestHash }, and the
+ *   { response } ({ statusCode, body }) that replays of the key return
+ * @returns {Promise<boolean>} false when the key is already taken
+ */
+async function claimKey(query, { key, ownerId, reportId, requestHash, response }) {
+  try {
+    await query(`
+      INSERT INTO idempotency_keys
+      (owner_id, idempotency_key, report_id, request_hash, response_status, response_body, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+    `, [
+      ownerId || '',
+      key,
+      reportId,
+      requestHash,
+      response.statusCode,
+      JSON.stringify(response.body),
+      KEY_TTL_SECONDS
+    ]);
+    return true;
+  } catch (err) {
+    if (err.code !== 'ER_DUP_ENTRY' && err.code !== 'ER_LOCK_DEADLOCK') {
+      throw err;
+    }
+    return false;
+  }
+}
+
+/**
+ * Deletes expired keys
+ * @returns {Promise<number>} Number of deleted keys
+ */
+async function purgeExpiredKeys() {
+  const result = await runQuery('DELETE FROM idempotency_keys WHERE expires_at <= NOW()');
+  return result.affectedRows;
+}
+
+module.exports = {
+  KEY_TTL_SECONDS,
+  isValidKey,
+  hashRequest,
+  findKey,
+  deleteExpiredKey,
+  claimKey,
+  purgeExpiredKeys
+};
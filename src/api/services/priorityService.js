@@ -0,0 +1,76 @@
+/**
+ * Report Priority Service
+ * A report's priority becomes the AMQP priority of its job message on
+ * its report type's queue (declared with x-max-priority), so urgent reports overtake
+ * queued batch work. Each client may only use priorities up to its cap.
+ */
+const { getTopology } = require('../../config/topology');
+
+/**
+ * Highest priority a request may ask for (the queue's x-max-priority)
+ */
+function getMaxPriority() {
+  return getTopology().maxPriority;
+}
+
+/**
+ * Priority of reports submitted without one
+ */
+function getDefaultPriority() {
+  return Math.min(parseInt(process.env.REPORT_DEFAULT_PRIORITY || '5'), getMaxPriority());
+}
+
+/**
+ * Parses REPORT_PRIORITY_CAPS, e.g. "exec-dashboard=10,bulk-export=2"
+ * @returns {Map<string, number>} Cap per client id
+ */
+function parsePriorityCaps(value = process.env.REPORT_PRIORITY_CAPS || '') {
+  const caps = new Map();
+  for (const entry of value.split(',')) {
+    const [clientId, cap] = entry.split('=').map(part => part && part.trim());
+    if (clientId && cap !== undefined && /^\d+$/.test(cap)) {
+      caps.set(clientId, parseInt(cap));
+    }
+  }
+  return caps;
+}
+
+/**
+ * Highest priority a client may use: its REPORT_PRIORITY_CAPS entry, or
+ * REPORT_CLIENT_MAX_PRIORITY (default: the default priority) for everyone else
+ * @param {string|null} clientId - Caller from X-Client-Id
+ * @returns {number} Cap
+ */
+function getPriorityCap(clientId) {
+  const caps = parsePriorityCaps();
+  const fallback = parseInt(process.env.REPORT_CLIENT_MAX_PRIORITY || String(getDefaultPriority()));
+  const cap = clientId && caps.has(clientId) ? caps.get(clientId) : fallback;
+  return Math.min(cap, getMaxPriority());
+}
+
+/**
+ * Checks that a requested priority is an integer between 0 and the maximum
+ */
+function isValidPriority(priority) {
+  return Number.isInteger(priority) && priority >= 0 && priority <= getMaxPriority();
+}
+
+/**
+ * Resolves the priority a report runs with: the requested (or default)
+ * priority, lowered to the client's cap
+ * @param {number} [requested] - Validated priority from the request
+ * @param {string|null} clientId - Caller from X-Client-Id
+ * @returns {number} Effective priority
+ */
+function resolvePriority(requested, clientId) {
+  const priority = requested === undefined ? getDefaultPriority() : requested;
+  return Math.min(priority, getPriorityCap(clientId));
+}
+
+module.exports = {
+  getMaxPriority,
+  getDefaultPriority,
+  getPriorityCap,
+  isValidPriority,
+  resolvePriority
+};
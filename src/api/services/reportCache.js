@@ -0,0 +1,52 @@
+/**
+ * Report Cache Service
+ * Finds an existing report that answers an identical request, so repeated
+ * requests reuse a fresh completed report or join an in-flight one instead of
+ * publishing another job.
+ */
+const { runQuery } = require('../../config/query');
+const { canonicalHash } = require('../utils/canonicalJson');
+
+/**
+ * Computes the hash identifying a report's content: report_type, parameters
+ * (key order does not matter) and format. Options that do not change the
+ * artifact, such as download_url_ttl, are not part of it.
+ * @param {object} requestPayload - { report_type, parameters, format }
+ * @returns {string} Hex SHA-256 digest
+ */
+function computeRequestHash({ report_type, parameters, format }) {
+  return canonicalHash({ report_type, parameters: parameters || {}, format });
+}
+
+/**
+ * Looks up a reusable report for a request hash: a report completed within
+ * ttlSeconds, or else one still pending or processing. Only the requesting
+ * owner's reports are reused, since the owner lists and may cancel them. A
+ * completed report is reused whatever its priority; an in-flight one only
+ * when it was queued at the requested priority or higher, so a more urgent
+ * request does not wait behind a less urgent job.
+ * @param {string} requestHash - Hash from computeRequestHash
+ * @param {number} ttlSeconds - Freshness window of completed reports
+ * @param {object} options - { ownerId } of the request (null when anonymous),
+ *   { priority } it would be queued at
+ * @returns {Promise<object|null>} { id, status, request_payload } or null
+ */
+async function findReusableReport(requestHash, ttlSeconds, { ownerId = null, priority }) {
+  if (!ttlSeconds || ttlSeconds <= 0) {
+    return null;
+  }
+
+  const rows = await runQuery(`
+    SELECT id, status, request_payload
+    FROM reports
+    WHERE request_hash = ? AND owner_id <=> ?
+      AND ((status IN ('pending', 'processing') AND priority >= ?)
+        OR (status = 'completed' AND completed_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)))
+    ORDER BY status = 'completed' DESC, created_at DESC
+    LIMIT 1
+  `, [requestHash, ownerId, priority, ttlSeconds]);
+
+  return rows[0] || null;
+}
+
+module.exports = { computeRequestHash, findReusableReport };
@@ -0,0 +1,34 @@
+/**
+ * Canonical JSON helpers
+ * Serializes values with sorted object keys so equal requests hash equally
+ */
+const crypto = require('crypto');
+
+/**
+ * Serializes a value as JSON with object keys sorted and undefined members dropped
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hashes the canonical JSON form of a value
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Hex SHA-256 digest
+ */
+function canonicalHash(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+module.exports = { stableStringify, canonicalHash };
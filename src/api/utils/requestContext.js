@@ -0,0 +1,21 @@
+/**
+ * Request context helpers
+ */
+
+const MAX_CLIENT_ID_LENGTH = 100;
+
+/**
+ * Reads the caller's identity from the X-Client-Id header
+ * @param {object} req - Express request
+ * @returns {string|null} Client identifier, or null when the header is absent or unusable
+ */
+function getClientId(req) {
+  const clientId = (req.get('X-Client-Id') || '').trim();
+
+  if (!clientId || clientId.length > MAX_CLIENT_ID_LENGTH) {
+    return null;
+  }
+  return clientId;
+}
+
+module.exports = { getClientId };
@@ -0,0 +1,81 @@
+/**
+ * Signed download URLs
+ * HMAC-SHA256 signatures over report_id and expiry, so artifacts can only be
+ * fetched through links handed out by the status endpoint
+ */
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS || '900');
+const MAX_TTL_SECONDS = parseInt(process.env.DOWNLOAD_URL_MAX_TTL_SECONDS || '86400');
+
+let secret = process.env.DOWNLOAD_URL_SECRET;
+
+if (!secret) {
+  // Links signed with a per-process secret stop working after a restart
+  console.warn('⚠️ DOWNLOAD_URL_SECRET is not set; using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function computeSignature(reportId, expires) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${reportId}:${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Resolves the TTL for a report's download links
+ * @param {number} [requestedTtl] - Per-request TTL in seconds
+ * @returns {number} TTL in seconds, capped at DOWNLOAD_URL_MAX_TTL_SECONDS
+ */
+function resolveTtl(requestedTtl) {
+  const ttl = requestedTtl || DEFAULT_TTL_SECONDS;
+  return Math.min(ttl, MAX_TTL_SECONDS);
+}
+
+/**
+ * Signs a download link for a report
+ * @param {string} reportId - Report identifier
+ * @param {number} ttlSeconds - Link lifetime in seconds
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {object} { expires, signature } where expires is a Unix timestamp in seconds
+ */
+function signDownload(reportId, ttlSeconds, now = Date.now()) {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  return { expires, signature: computeSignature(reportId, expires) };
+}
+
+/**
+ * Verifies the signature and expiry of a download link
+ * @param {string} reportId - Report identifier
+ * @param {string} expires - `expires` query parameter
+ * @param {string} signature - `signature` query parameter
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {object} { valid, reason }
+ */
+function verifyDownload(reportId, expires, signature, now = Date.now()) {
+  if (typeof expires !== 'string' || !/^\d+$/.test(expires) || typeof signature !== 'string') {
+    return { valid: false, reason: 'Missing or malformed download signature' };
+  }
+
+  const expected = Buffer.from(computeSignature(reportId, Number(expires)));
+  const provided = Buffer.from(signature);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'Invalid download signature' };
+  }
+
+  if (Number(expires) * 1000 <= now) {
+    return { valid: false, reason: 'Download link has expired' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  resolveTtl,
+  signDownload,
+  verifyDownload
+};
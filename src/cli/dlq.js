@@ -0,0 +1,86 @@
+/**
+ * Dead-letter queue CLI for on-call use
+ *
+ * Usage:
+ *   npm run dlq -- list [limit] [--type=<report_type>]
+ *   npm run dlq -- replay <report_id...> | --all [--type=<report_type>]
+ *   npm run dlq -- purge <report_id...> | --all [--type=<report_type>]
+ */
+require('dotenv').config();
+const db = require('../config/db');
+const { connectRabbitMQ, closeRabbitMQ } = require('../config/rabbitmq');
+const dlqService = require('../api/services/dlqService');
+const registry = require('../reports/registry');
+
+const USAGE = `Usage:
+  dlq list [limit] [--type=<report_type>]
+  dlq replay <report_id...> | --all [--type=<report_type>]
+  dlq purge <report_id...> | --all [--type=<report_type>]`;
+
+/**
+ * Turns the arguments after the command into a replay/purge selection
+ */
+function parseSelection(args) {
+  if (args.includes('--all')) {
+    return { all: true };
+  }
+  if (args.length === 0) {
+    throw new Error('Specify one or more report ids, or --all');
+  }
+  return { reportIds: args };
+}
+
+/**
+ * Splits off the --type=<report_type> option restricting the command to one DLQ
+ */
+function parseReportType(args) {
+  const option = args.find(arg => arg.startsWith('--type='));
+  return {
+    reportType: option ? option.slice('--type='.length) : null,
+    rest: args.filter(arg => arg !== option)
+  };
+}
+
+async function run(command, allArgs) {
+  const { reportType, rest: args } = parseReportType(allArgs);
+  if (reportType && !registry.hasGenerator(reportType)) {
+    throw new Error(`Unknown report type: ${reportType}`);
+  }
+
+  switch (command) {
+    case 'list':
+      return dlqService.listDeadLetters({ limit: args[0] ? parseInt(args[0]) : 50, reportType });
+    case 'replay':
+      return dlqService.replayDeadLetters({ ...parseSelection(args), reportType, actor: 'cli' });
+    case 'purge':
+      return dlqService.purgeDeadLetters({ ...parseSelection(args), reportType });
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  let exitCode = 0;
+
+  if (!['list', 'replay', 'purge'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await connectRabbitMQ();
+    const result = await run(command, args);
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    exitCode = 1;
+  } finally {
+    await closeRabbitMQ();
+    db.end();
+  }
+
+  process.exit(exitCode);
+}
+
+main();
@@ -1,35 +1,30 @@
 const mysql = require('mysql2');
 require('dotenv').config();
 
-let db;
+// A pool rather than a single connection, so transactions get a connection of
+// their own; db.query() keeps the same callback API
+const db = mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  waitForConnections: true,
+  connectionLimit: parseInt(process.env.DB_POOL_SIZE || '10')
+});
 
-function createConnection() {
-  db = mysql.createConnection({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME
-  });
-
-  db.connect((err) => {
+function checkConnection() {
+  db.getConnection((err, connection) => {
     if (err) {
       console.error("❌ MySQL connection failed:", err.message);
       console.log("⏳ Retrying in 5 seconds...");
-      setTimeout(createConnection, 5000);
+      setTimeout(checkConnection, 5000);
     } else {
       console.log("✅ Connected to MySQL Database");
-    }
-  });
-
-  db.on('error', (err) => {
-    console.error('❌ MySQL error:', err);
-    if (err.code === 'PROTOCOL_CONNECTION_LOST' || err.fatal) {
-      console.log('⏳ Reconnecting to MySQL...');
-      createConnection();
+      connection.release();
     }
   });
 }
 
-createConnection();
+checkConnection();
 
 module.exports = db;
@@ -0,0 +1,39 @@
+/**
+ * Promise helpers over the shared MySQL pool, for statements that do not need
+ * a transaction of their own (see ./transaction.js for those)
+ */
+const db = require('./db');
+
+/**
+ * Runs a query on the pool and resolves with its results
+ * @param {string} sql - SQL statement
+ * @param {Array} [values] - Placeholder values
+ * @returns {Promise<*>} Rows for a SELECT, the result header otherwise
+ */
+function runQuery(sql, values = []) {
+  return new Promise((resolve, reject) => {
+    db.query(sql, values, (err, results) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(results);
+      }
+    });
+  });
+}
+
+/**
+ * Reads a JSON column such as reports.request_payload. mysql2 returns JSON
+ * columns already parsed; a string is parsed here, and throws if malformed.
+ * @param {*} value - Column value
+ * @param {*} [fallback] - Returned for NULL
+ * @returns {*} Parsed value
+ */
+function parseJsonColumn(value, fallback = null) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+module.exports = { runQuery, parseJsonColumn };
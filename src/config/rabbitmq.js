@@ -1,67 +1,208 @@
+/**
+ * RabbitMQ Connection Manager
+ * Shared by the API, the outbox relay and the workers: one connection and
+ * confirm channel, the topology from ./topology.js declared on every
+ * (re)connect, and automatic reconnection with backoff.
+ */
 const amqp = require("amqplib");
+const { TopologyConflictError, getTopology, assertTopology } = require('./topology');
 
 const RABBITMQ_URL = `amqp://${process.env.RABBITMQ_USER}:${process.env.RABBITMQ_PASS}@${process.env.RABBITMQ_HOST}`;
+const PUBLISH_TIMEOUT_MS = parseInt(process.env.RABBITMQ_PUBLISH_TIMEOUT_MS || '5000');
+
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RABBITMQ_RECONNECT_BASE_DELAY_MS || '1000');
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RABBITMQ_RECONNECT_MAX_DELAY_MS || '30000');
 
 let channel;
 let connection;
 
+// Connection manager state: 'disconnected' until the first connect, then
+// 'connected', 'reconnecting' after an unexpected close, and 'closed' after
+// closeRabbitMQ()
+let state = 'disconnected';
+let reconnectAttempt = 0;
+let reconnectTimer = null;
+let lastError = null;
+let connectedSince = null;
+
+// Run on every new channel, e.g. to start consumers again after a reconnect
+const channelSetups = [];
+
+// Broker state observed through connection and channel events
+let blocked = false;
+let draining = false;
+
 /**
- * Initialize RabbitMQ connection and set up exchanges, queues, and bindings
- * This includes the main report queue and dead-letter queue configuration
+ * Raised when the broker cannot accept a message right now (not connected,
+ * blocked by a resource alarm, or the write buffer did not drain in time)
  */
-async function connectRabbitMQ(retries = 5, delay = 3000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      connection = await amqp.connect(RABBITMQ_URL);
-      channel = await connection.createChannel();
+class BrokerUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BrokerUnavailableError';
+  }
+}
+
+/**
+ * Opens a connection and confirm channel, declares the topology and swaps
+ * them in as the shared connection and channel
+ */
+async function establishConnection() {
+  const conn = await amqp.connect(RABBITMQ_URL);
 
-      // Declare exchanges
-      const REPORT_EXCHANGE = process.env.RABBITMQ_EXCHANGE || 'report_exchange';
-      const DLQ_EXCHANGE = process.env.RABBITMQ_DLQ_EXCHANGE || 'dlq_exchange';
+  let ch;
+  try {
+    // Confirm channel: the broker acks every message once it has taken responsibility for it
+    ch = await conn.createConfirmChannel();
+    ch.on('error', (err) => {
+      lastError = err.message;
+      console.error('❌ RabbitMQ channel error:', err.message);
+    });
 
-      await channel.assertExchange(REPORT_EXCHANGE, 'direct', { durable: true });
-      await channel.assertExchange(DLQ_EXCHANGE, 'direct', { durable: true });
+    const topology = getTopology();
+    await assertTopology(ch, topology);
+    for (const setup of channelSetups) {
+      await setup(ch);
+    }
 
-      // Declare dead-letter queue first
-      const DLQ_QUEUE = process.env.RABBITMQ_DLQ_QUEUE || 'report_dlq';
-      await channel.assertQueue(DLQ_QUEUE, { durable: true });
-      
-      // Bind DLQ to its exchange
-      const DLQ_ROUTING_KEY = process.env.RABBITMQ_DLQ_ROUTING_KEY || 'report_dlq_key';
-      await channel.bindQueue(DLQ_QUEUE, DLQ_EXCHANGE, DLQ_ROUTING_KEY);
-
-      // Declare main report queue with DLX configuration
-      const REPORT_QUEUE = process.env.RABBITMQ_QUEUE || 'report_queue';
-      await channel.assertQueue(REPORT_QUEUE, {
-        durable: true,
-        arguments: {
-          'x-dead-letter-exchange': DLQ_EXCHANGE,
-          'x-dead-letter-routing-key': DLQ_ROUTING_KEY
-        }
-      });
-
-      // Bind main queue to report exchange
-      const REPORT_ROUTING_KEY = process.env.RABBITMQ_ROUTING_KEY || 'report_key';
-      await channel.bindQueue(REPORT_QUEUE, REPORT_EXCHANGE, REPORT_ROUTING_KEY);
-
-      console.log("✅ Connected to RabbitMQ");
-      console.log(`   - Exchange: ${REPORT_EXCHANGE}`);
-      console.log(`   - Queue: ${REPORT_QUEUE}`);
-      console.log(`   - DLQ Exchange: ${DLQ_EXCHANGE}`);
-      console.log(`   - DLQ Queue: ${DLQ_QUEUE}`);
-
-      // Handle connection events
-      connection.on('error', (err) => {
-        console.error('❌ RabbitMQ connection error:', err);
-      });
-
-      connection.on('close', () => {
-        console.log('⚠️ RabbitMQ connection closed');
-      });
+    console.log("✅ Connected to RabbitMQ");
+    console.log(`   - Exchange: ${topology.reportExchange}`);
+    console.log(`   - Queues: ${topology.reportQueue}.<type> for ${topology.reportTypes.join(', ')}`);
+    console.log(`   - DLQ Exchange: ${topology.dlqExchange}`);
+    console.log(`   - DLQ Queues: ${topology.dlqQueue}.<type>`);
+    console.log(`   - Retry delay queues: ${topology.maxRetries} (via ${topology.retryExchange})`);
+  } catch (error) {
+    conn.close().catch(() => {});
+    throw error;
+  }
+
+  // closeRabbitMQ() was called while this connection was being set up
+  if (state === 'closed') {
+    await conn.close().catch(() => {});
+    throw new BrokerUnavailableError('RabbitMQ client was closed');
+  }
+
+  // Handle connection events
+  conn.on('error', (err) => {
+    lastError = err.message;
+    console.error('❌ RabbitMQ connection error:', err);
+  });
+
+  conn.on('close', () => {
+    if (conn !== connection) {
+      return;
+    }
+    console.log('⚠️ RabbitMQ connection closed');
+    if (state !== 'closed') {
+      scheduleReconnect();
+    }
+  });
+
+  // The broker blocks publishers while a memory or disk alarm is raised
+  conn.on('blocked', (reason) => {
+    blocked = true;
+    console.warn(`⚠️ RabbitMQ blocked publishing: ${reason}`);
+  });
+
+  conn.on('unblocked', () => {
+    blocked = false;
+    console.log('✅ RabbitMQ unblocked publishing');
+  });
+
+  ch.on('drain', () => {
+    draining = false;
+  });
+
+  // A channel closed by the broker (e.g. a failed declaration) is recovered
+  // the same way as a lost connection
+  ch.on('close', () => {
+    if (ch === channel && state === 'connected') {
+      conn.close().catch(() => {});
+    }
+  });
+
+  connection = conn;
+  channel = ch;
+  state = 'connected';
+  blocked = false;
+  draining = false;
+  reconnectAttempt = 0;
+  lastError = null;
+  connectedSince = new Date();
+}
+
+/**
+ * Delay before the given reconnection attempt: exponential, capped
+ */
+function reconnectDelay(attempt) {
+  return Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+}
+
+/**
+ * Reconnects in the background, backing off until the broker is back.
+ * Publishes fail fast with BrokerUnavailableError in the meantime; report
+ * jobs stay in the outbox until a publisher is connected again.
+ */
+function scheduleReconnect() {
+  state = 'reconnecting';
+  if (reconnectTimer) {
+    return;
+  }
+
+  reconnectAttempt++;
+  const delay = reconnectDelay(reconnectAttempt);
+  console.log(`⏳ Reconnecting to RabbitMQ in ${delay / 1000} seconds (attempt ${reconnectAttempt})...`);
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    if (state === 'closed') {
+      return;
+    }
+    try {
+      await establishConnection();
+      console.log('✅ Reconnected to RabbitMQ');
+    } catch (error) {
+      lastError = error.message;
+      if (error instanceof TopologyConflictError) {
+        console.error(`🚨 ${error.message}`);
+      } else {
+        console.error('❌ RabbitMQ reconnection failed:', error.message);
+      }
+      scheduleReconnect();
+    }
+  }, delay);
+  reconnectTimer.unref();
+}
 
+/**
+ * Registers a function run with every new channel, after the topology is
+ * declared: on connect and again after each reconnection
+ * @param {Function} setup - async (channel) => void
+ */
+function onChannel(setup) {
+  channelSetups.push(setup);
+}
+
+/**
+ * Initialize RabbitMQ connection and declare the shared topology.
+ * Once connected, a lost connection is re-established automatically.
+ * @throws {TopologyConflictError} Without retrying, when the broker's existing
+ *   exchanges or queues do not match the declared ones
+ */
+async function connectRabbitMQ(retries = 10, delay = 3000) {
+  state = 'disconnected';
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      await establishConnection();
       return; // Success, exit the function
 
     } catch (error) {
+      lastError = error.message;
+      if (error instanceof TopologyConflictError) {
+        console.error(`🚨 ${error.message}`);
+        console.error('🚨 Delete the conflicting exchange or queue, or align the RABBITMQ_* / MAX_RETRIES settings');
+        throw error;
+      }
       console.error(`❌ Failed to connect to RabbitMQ (attempt ${attempt}/${retries}):`, error.message);
       
       if (attempt < retries) {
@@ -76,19 +217,117 @@ async function connectRabbitMQ(retries = 5, delay = 3000) {
 }
 
 /**
- * Get the RabbitMQ channel instance
+ * Get the RabbitMQ channel instance. After a reconnection this is the new
+ * channel, so callers should not hold on to it.
  */
 function getChannel() {
   if (!channel) {
     throw new Error('RabbitMQ channel not initialized. Call connectRabbitMQ first.');
   }
+  if (state !== 'connected') {
+    throw new BrokerUnavailableError('RabbitMQ is not connected');
+  }
   return channel;
 }
 
+/**
+ * Reports whether the broker can take messages right now
+ * @returns {object} { state, connected, blocked, draining, reconnectAttempt, lastError, connectedSince }
+ */
+function getBrokerStatus() {
+  return {
+    state,
+    connected: state === 'connected',
+    blocked,
+    draining,
+    reconnectAttempt,
+    lastError,
+    connectedSince: connectedSince ? connectedSince.toISOString() : null
+  };
+}
+
+/**
+ * Waits for the channel's write buffer to drain
+ */
+function waitForDrain(timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      channel.removeListener('drain', onDrain);
+      reject(new BrokerUnavailableError('RabbitMQ write buffer did not drain in time'));
+    }, timeoutMs);
+    const onDrain = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    channel.once('drain', onDrain);
+  });
+}
+
+/**
+ * Publishes a message on the confirm channel and resolves once the broker acks it.
+ * Waits for `drain` when the write buffer is full, and gives up after timeoutMs.
+ * @param {string} exchange - Exchange name
+ * @param {string} routingKey - Routing key
+ * @param {Buffer} content - Message body
+ * @param {object} [options] - amqplib publish options
+ * @param {number} [timeoutMs] - Maximum time to wait for drain and for the ack
+ * @throws {BrokerUnavailableError} When the broker cannot take the message
+ * @throws {Error} When the broker nacks the message
+ */
+async function publishConfirmed(exchange, routingKey, content, options = {}, timeoutMs = PUBLISH_TIMEOUT_MS) {
+  if (!channel || state !== 'connected') {
+    throw new BrokerUnavailableError('RabbitMQ is not connected');
+  }
+  if (blocked) {
+    throw new BrokerUnavailableError('RabbitMQ is blocking publishers (resource alarm)');
+  }
+  if (draining) {
+    await waitForDrain(timeoutMs);
+  }
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new BrokerUnavailableError('RabbitMQ did not confirm the message in time'));
+    }, timeoutMs);
+
+    const accepted = channel.publish(exchange, routingKey, content, options, (err) => {
+      clearTimeout(timer);
+      if (err) {
+        reject(new Error(`RabbitMQ rejected the message: ${err.message || err}`));
+      } else {
+        resolve();
+      }
+    });
+
+    // false means the buffer is full: later publishes wait for 'drain'
+    if (!accepted) {
+      draining = true;
+    }
+  });
+}
+
+/**
+ * Open an additional channel on the shared connection, for operations that
+ * should not interfere with the publishing channel (e.g. DLQ inspection)
+ * @param {object} [options] - { confirm } to open a confirm channel
+ */
+async function openChannel({ confirm = false } = {}) {
+  if (!connection) {
+    throw new Error('RabbitMQ connection not initialized. Call connectRabbitMQ first.');
+  }
+  if (state !== 'connected') {
+    throw new BrokerUnavailableError('RabbitMQ is not connected');
+  }
+  return confirm ? connection.createConfirmChannel() : connection.createChannel();
+}
+
 /**
  * Close RabbitMQ connection gracefully
  */
 async function closeRabbitMQ() {
+  state = 'closed';
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
   try {
     if (channel) {
       await channel.close();
@@ -102,4 +341,14 @@ async function closeRabbitMQ() {
   }
 }
 
-module.exports = { connectRabbitMQ, getChannel, closeRabbitMQ };
+module.exports = {
+  BrokerUnavailableError,
+  TopologyConflictError,
+  connectRabbitMQ,
+  onChannel,
+  getChannel,
+  getBrokerStatus,
+  publishConfirmed,
+  openChannel,
+  closeRabbitMQ
+};
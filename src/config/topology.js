@@ -0,0 +1,183 @@
+/**
+ * RabbitMQ Topology
+ * The one definition of the exchanges, queues and bindings used by the API,
+ * the outbox relay and the workers. Every process declares the whole topology
+ * when it connects, so whichever starts first creates it and the others check
+ * that it matches.
+ *
+ * Jobs are routed by report type: a job for `sales_summary` is published with
+ * routing key `report.sales_summary` on the topic exchange and lands in
+ * `report_queue.sales_summary`, whose failures dead-letter to
+ * `report_dlq.sales_summary`. Workers subscribe to the types they serve.
+ */
+const registry = require('../reports/registry');
+
+/**
+ * Raised when the broker already has an exchange or queue declared with
+ * different settings (RabbitMQ answers 406 PRECONDITION_FAILED). Retrying
+ * cannot fix this: the existing object has to be deleted or the
+ * configuration aligned.
+ */
+class TopologyConflictError extends Error {
+  constructor(description, cause) {
+    super(`${description} already exists on the broker with different settings: ${cause.message}`);
+    this.name = 'TopologyConflictError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Reads the topology names from the environment
+ * @returns {object} Exchange names, the prefixes of the per-type queue and
+ *   routing key names, reportTypes (every registered type), maxRetries (the
+ *   number of delay queues) and maxPriority (the report queues' x-max-priority)
+ */
+function getTopology() {
+  return {
+    reportExchange: process.env.RABBITMQ_EXCHANGE || 'report_exchange',
+    reportQueue: process.env.RABBITMQ_QUEUE || 'report_queue',
+    reportRoutingKey: process.env.RABBITMQ_ROUTING_KEY || 'report',
+    dlqExchange: process.env.RABBITMQ_DLQ_EXCHANGE || 'dlq_exchange',
+    dlqQueue: process.env.RABBITMQ_DLQ_QUEUE || 'report_dlq',
+    dlqRoutingKey: process.env.RABBITMQ_DLQ_ROUTING_KEY || 'report_dlq',
+    reportTypes: registry.listGenerators().map(generator => generator.type),
+    controlExchange: process.env.RABBITMQ_CONTROL_EXCHANGE || 'report_control_exchange',
+    retryExchange: process.env.RABBITMQ_RETRY_EXCHANGE || 'report_retry_exchange',
+    retryQueuePrefix: process.env.RABBITMQ_RETRY_QUEUE_PREFIX || 'report_retry',
+    maxRetries: parseInt(process.env.MAX_RETRIES || '3'),
+    maxPriority: parseInt(process.env.RABBITMQ_MAX_PRIORITY || '10')
+  };
+}
+
+/**
+ * Routing key of a report type's jobs, e.g. `report.sales_summary`
+ * @param {string} reportType - Type of report
+ */
+function routingKeyFor(reportType, topology = getTopology()) {
+  return `${topology.reportRoutingKey}.${reportType}`;
+}
+
+/**
+ * Queue holding a report type's jobs, e.g. `report_queue.sales_summary`
+ * @param {string} reportType - Type of report
+ */
+function reportQueueFor(reportType, topology = getTopology()) {
+  return `${topology.reportQueue}.${reportType}`;
+}
+
+/**
+ * Dead-letter queue of a report type, e.g. `report_dlq.sales_summary`
+ * @param {string} reportType - Type of report
+ */
+function dlqFor(reportType, topology = getTopology()) {
+  return `${topology.dlqQueue}.${reportType}`;
+}
+
+/**
+ * Routing key a report type's failed jobs are dead-lettered with
+ * @param {string} reportType - Type of report
+ */
+function dlqRoutingKeyFor(reportType, topology = getTopology()) {
+  return `${topology.dlqRoutingKey}.${reportType}`;
+}
+
+/**
+ * Name of the delay queue holding messages waiting for a retry attempt
+ * @param {number} attempt - Retry number, starting at 1
+ */
+function retryQueueName(attempt, topology = getTopology()) {
+  return `${topology.retryQueuePrefix}_${attempt}`;
+}
+
+/**
+ * Runs a declaration, turning a 406 PRECONDITION_FAILED into a TopologyConflictError
+ */
+async function declare(description, declaration) {
+  try {
+    return await declaration();
+  } catch (error) {
+    if (error.code === 406) {
+      throw new TopologyConflictError(description, error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Declares every exchange, queue and binding. Declaring an existing object
+ * with different arguments fails, which makes this the startup check that the
+ * broker matches this definition.
+ * @param {object} channel - amqplib channel (closed by the broker on a conflict)
+ * @param {object} [topology] - Overrides for getTopology()
+ * @throws {TopologyConflictError} When an existing exchange or queue differs
+ */
+async function assertTopology(channel, topology = getTopology()) {
+  const {
+    reportExchange, dlqExchange, reportTypes,
+    controlExchange, retryExchange, maxRetries, maxPriority
+  } = topology;
+
+  await declare(`Exchange "${reportExchange}"`, () =>
+    channel.assertExchange(reportExchange, 'topic', { durable: true }));
+  await declare(`Exchange "${dlqExchange}"`, () =>
+    channel.assertExchange(dlqExchange, 'direct', { durable: true }));
+
+  for (const reportType of reportTypes) {
+    const queue = reportQueueFor(reportType, topology);
+    const dlq = dlqFor(reportType, topology);
+    const dlqRoutingKey = dlqRoutingKeyFor(reportType, topology);
+
+    // Dead-letter queue for the type's permanently failed messages
+    await declare(`Queue "${dlq}"`, () =>
+      channel.assertQueue(dlq, { durable: true }));
+    await channel.bindQueue(dlq, dlqExchange, dlqRoutingKey);
+
+    // The type's job queue, dead-lettering rejected messages to its DLQ and
+    // delivering higher-priority jobs first
+    await declare(`Queue "${queue}"`, () =>
+      channel.assertQueue(queue, {
+        durable: true,
+        arguments: {
+          'x-dead-letter-exchange': dlqExchange,
+          'x-dead-letter-routing-key': dlqRoutingKey,
+          'x-max-priority': maxPriority
+        }
+      }));
+    await channel.bindQueue(queue, reportExchange, routingKeyFor(reportType, topology));
+  }
+
+  // Per-attempt delay queues for backoff retries: messages are routed by their
+  // `x-retry-level` header and dead-lettered back to the report exchange,
+  // keeping their original routing key, once their per-message expiration elapses
+  await declare(`Exchange "${retryExchange}"`, () =>
+    channel.assertExchange(retryExchange, 'headers', { durable: true }));
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const queue = retryQueueName(attempt, topology);
+    await declare(`Queue "${queue}"`, () =>
+      channel.assertQueue(queue, {
+        durable: true,
+        arguments: {
+          'x-dead-letter-exchange': reportExchange
+        }
+      }));
+    await channel.bindQueue(queue, retryExchange, '', {
+      'x-match': 'all',
+      'x-retry-level': String(attempt)
+    });
+  }
+
+  // Control messages (e.g. cancellations) are broadcast to every worker
+  await declare(`Exchange "${controlExchange}"`, () =>
+    channel.assertExchange(controlExchange, 'fanout', { durable: true }));
+}
+
+module.exports = {
+  TopologyConflictError,
+  getTopology,
+  routingKeyFor,
+  reportQueueFor,
+  dlqFor,
+  retryQueueName,
+  assertTopology
+};
@@ -0,0 +1,33 @@
+const db = require('./db');
+
+/**
+ * Runs work inside a MySQL transaction on a dedicated pooled connection.
+ * work receives query(sql, values) resolving with the results; the transaction
+ * commits when work resolves and rolls back when it throws.
+ * @param {Function} work - async (query) => result
+ * @returns {Promise<*>} Result of work
+ */
+async function withTransaction(work) {
+  const connection = await new Promise((resolve, reject) => {
+    db.getConnection((err, conn) => (err ? reject(err) : resolve(conn)));
+  });
+  const conn = connection.promise();
+
+  try {
+    await conn.beginTransaction();
+    const result = await work((sql, values = []) => conn.query(sql, values).then(([results]) => results));
+    await conn.commit();
+    return result;
+  } catch (error) {
+    try {
+      await conn.rollback();
+    } catch (rollbackError) {
+      console.error('❌ Transaction rollback failed:', rollbackError.message);
+    }
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = { withTransaction };
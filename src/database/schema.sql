@@ -10,12 +10,93 @@ CREATE TABLE IF NOT EXISTS reports (
     request_payload JSON NOT NULL,
     status VARCHAR(20) NOT NULL DEFAULT 'pending',
     generated_url VARCHAR(255) DEFAULT NULL,
+    mime_type VARCHAR(100) DEFAULT NULL,
+    artifact_key VARCHAR(255) DEFAULT NULL,
+    artifact_size BIGINT DEFAULT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     failure_reason TEXT DEFAULT NULL,
+    error_code VARCHAR(50) DEFAULT NULL,
     retry_count INT NOT NULL DEFAULT 0,
+    owner_id VARCHAR(100) DEFAULT NULL,
+    cancelled_at TIMESTAMP NULL DEFAULT NULL,
+    next_attempt_at TIMESTAMP NULL DEFAULT NULL,
+    request_hash CHAR(64) DEFAULT NULL,
+    completed_at TIMESTAMP NULL DEFAULT NULL,
+    priority TINYINT UNSIGNED NOT NULL DEFAULT 5,
+    worker_id VARCHAR(100) DEFAULT NULL,
+    lease_expires_at TIMESTAMP NULL DEFAULT NULL,
+    started_at TIMESTAMP NULL DEFAULT NULL,
+    progress_percent TINYINT UNSIGNED DEFAULT NULL,
+    progress_stage VARCHAR(100) DEFAULT NULL,
+    progress_message VARCHAR(255) DEFAULT NULL,
+    progress_updated_at TIMESTAMP NULL DEFAULT NULL,
     INDEX idx_status (status),
-    INDEX idx_created_at (created_at)
+    INDEX idx_status_lease (status, lease_expires_at),
+    INDEX idx_created_at (created_at),
+    INDEX idx_owner_created_at (owner_id, created_at),
+    INDEX idx_request_hash_status (request_hash, status)
+);
+
+-- Idempotency-Key of each submission, scoped per client (owner_id '' when anonymous)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    owner_id VARCHAR(100) NOT NULL DEFAULT '',
+    idempotency_key VARCHAR(255) NOT NULL,
+    report_id VARCHAR(36) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status SMALLINT UNSIGNED NOT NULL,
+    response_body JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (owner_id, idempotency_key),
+    INDEX idx_idempotency_expires_at (expires_at)
+);
+
+-- Transactional outbox: messages written with the change they announce,
+-- published to RabbitMQ by the outbox relay (src/outbox/relay.js)
+CREATE TABLE IF NOT EXISTS outbox (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    report_id VARCHAR(36) NOT NULL,
+    exchange_name VARCHAR(255) NOT NULL,
+    routing_key VARCHAR(255) NOT NULL,
+    payload JSON NOT NULL,
+    properties JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL DEFAULT NULL,
+    claimed_until TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_outbox_unsent (sent_at, id)
+);
+
+-- Audit trail of operational actions taken on reports
+CREATE TABLE IF NOT EXISTS report_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    report_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    actor VARCHAR(100) DEFAULT NULL,
+    details JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_report_events_report (report_id, created_at)
+);
+
+-- Source data for the sales_summary report
+CREATE TABLE IF NOT EXISTS sales_orders (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    order_date DATE NOT NULL,
+    region VARCHAR(50) NOT NULL,
+    product VARCHAR(100) NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    amount DECIMAL(12, 2) NOT NULL,
+    INDEX idx_order_date_region (order_date, region)
+);
+
+-- Source data for the user_activity report
+CREATE TABLE IF NOT EXISTS user_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_occurred (user_id, occurred_at),
+    INDEX idx_occurred_at (occurred_at)
 );
 
 -- Verify table creation
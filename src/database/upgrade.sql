@@ -0,0 +1,96 @@
+-- Upgrade script for databases created before artifact storage
+--
+-- schema.sql only runs on an empty data directory and uses CREATE TABLE
+-- IF NOT EXISTS, so an existing database keeps its old reports table. Run
+-- this once against such a database to bring it to the current schema.
+-- MySQL 8.0 has no ADD COLUMN IF NOT EXISTS: the script fails on a database
+-- that already has these columns, leaving it unchanged.
+
+USE reports_db;
+
+-- Columns and indexes added to the reports table
+ALTER TABLE reports
+    ADD COLUMN mime_type VARCHAR(100) DEFAULT NULL AFTER generated_url,
+    ADD COLUMN artifact_key VARCHAR(255) DEFAULT NULL AFTER mime_type,
+    ADD COLUMN artifact_size BIGINT DEFAULT NULL AFTER artifact_key,
+    ADD COLUMN error_code VARCHAR(50) DEFAULT NULL AFTER failure_reason,
+    ADD COLUMN owner_id VARCHAR(100) DEFAULT NULL AFTER retry_count,
+    ADD COLUMN cancelled_at TIMESTAMP NULL DEFAULT NULL AFTER owner_id,
+    ADD COLUMN next_attempt_at TIMESTAMP NULL DEFAULT NULL AFTER cancelled_at,
+    ADD COLUMN request_hash CHAR(64) DEFAULT NULL AFTER next_attempt_at,
+    ADD COLUMN completed_at TIMESTAMP NULL DEFAULT NULL AFTER request_hash,
+    ADD COLUMN priority TINYINT UNSIGNED NOT NULL DEFAULT 5 AFTER completed_at,
+    ADD COLUMN worker_id VARCHAR(100) DEFAULT NULL AFTER priority,
+    ADD COLUMN lease_expires_at TIMESTAMP NULL DEFAULT NULL AFTER worker_id,
+    ADD COLUMN started_at TIMESTAMP NULL DEFAULT NULL AFTER lease_expires_at,
+    ADD COLUMN progress_percent TINYINT UNSIGNED DEFAULT NULL AFTER started_at,
+    ADD COLUMN progress_stage VARCHAR(100) DEFAULT NULL AFTER progress_percent,
+    ADD COLUMN progress_message VARCHAR(255) DEFAULT NULL AFTER progress_stage,
+    ADD COLUMN progress_updated_at TIMESTAMP NULL DEFAULT NULL AFTER progress_message,
+    ADD INDEX idx_status_lease (status, lease_expires_at),
+    ADD INDEX idx_owner_created_at (owner_id, created_at),
+    ADD INDEX idx_request_hash_status (request_hash, status);
+
+-- Idempotency-Key of each submission, scoped per client (owner_id '' when anonymous)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    owner_id VARCHAR(100) NOT NULL DEFAULT '',
+    idempotency_key VARCHAR(255) NOT NULL,
+    report_id VARCHAR(36) NOT NULL,
+    request_hash CHAR(64) NOT NULL,
+    response_status SMALLINT UNSIGNED NOT NULL,
+    response_body JSON NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    PRIMARY KEY (owner_id, idempotency_key),
+    INDEX idx_idempotency_expires_at (expires_at)
+);
+
+-- Transactional outbox: messages written with the change they announce,
+-- published to RabbitMQ by the outbox relay (src/outbox/relay.js)
+CREATE TABLE IF NOT EXISTS outbox (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    report_id VARCHAR(36) NOT NULL,
+    exchange_name VARCHAR(255) NOT NULL,
+    routing_key VARCHAR(255) NOT NULL,
+    payload JSON NOT NULL,
+    properties JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL DEFAULT NULL,
+    claimed_until TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_outbox_unsent (sent_at, id)
+);
+
+-- Audit trail of operational actions taken on reports
+CREATE TABLE IF NOT EXISTS report_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    report_id VARCHAR(36) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    actor VARCHAR(100) DEFAULT NULL,
+    details JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_report_events_report (report_id, created_at)
+);
+
+-- Source data for the sales_summary report
+CREATE TABLE IF NOT EXISTS sales_orders (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    order_date DATE NOT NULL,
+    region VARCHAR(50) NOT NULL,
+    product VARCHAR(100) NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    amount DECIMAL(12, 2) NOT NULL,
+    INDEX idx_order_date_region (order_date, region)
+);
+
+-- Source data for the user_activity report
+CREATE TABLE IF NOT EXISTS user_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id VARCHAR(100) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_occurred (user_id, occurred_at),
+    INDEX idx_occurred_at (occurred_at)
+);
+
+-- Verify the upgrade
+SELECT 'Reports database upgraded successfully' AS status;
@@ -0,0 +1,114 @@
+/**
+ * Outbox Module
+ * Messages are written to the `outbox` table in the same transaction as the
+ * database change they announce. The API publishes a report's messages right
+ * after commit and the relay (./relay.js) publishes whatever is left, so a
+ * report row never exists without its job.
+ */
+const { runQuery, parseJsonColumn } = require('../config/query');
+const { withTransaction } = require('../config/transaction');
+const { publishConfirmed } = require('../config/rabbitmq');
+
+/**
+ * How long a dispatcher owns the rows it claimed; rows of a dispatcher that
+ * died before marking them sent are picked up again after this
+ */
+function getClaimSeconds() {
+  return parseInt(process.env.OUTBOX_CLAIM_SECONDS || '30');
+}
+
+/**
+ * Adds a message to the outbox
+ * @param {Function} query - Transactional query(sql, values) from withTransaction
+ * @param {object} message - { reportId, exchange, routingKey, payload, properties? }
+ *   where properties are extra amqplib publish options (e.g. priority)
+ * @returns {Promise<object>} Insert result
+ */
+function enqueueMessage(query, { reportId, exchange, routingKey, payload, properties = null }) {
+  return query(`
+    INSERT INTO outbox (report_id, exchange_name, routing_key, payload, properties)
+    VALUES (?, ?, ?, ?, ?)
+  `, [
+    reportId,
+    exchange,
+    routingKey,
+    JSON.stringify(payload),
+    properties ? JSON.stringify(properties) : null
+  ]);
+}
+
+/**
+ * Publishes an outbox row as a persistent message and waits for the broker's ack
+ * @param {object} row - Outbox row
+ * @returns {Promise<void>}
+ */
+function publishRow(row) {
+  return publishConfirmed(
+    row.exchange_name,
+    row.routing_key,
+    Buffer.from(JSON.stringify(parseJsonColumn(row.payload))),
+    {
+      ...parseJsonColumn(row.properties),
+      persistent: true,
+      contentType: 'application/json',
+      messageId: String(row.id)
+    }
+  );
+}
+
+/**
+ * Claims unsent, unclaimed outbox rows in a short transaction. Rows are locked
+ * with SKIP LOCKED while claiming, so the relays and the API's fast path never
+ * claim the same row.
+ * @returns {Promise<object[]>} Claimed rows
+ */
+function claimPending({ reportId, limit }) {
+  return withTransaction(async query => {
+    const rows = await query(`
+      SELECT id, report_id, exchange_name, routing_key, payload, properties
+      FROM outbox
+      WHERE sent_at IS NULL AND (claimed_until IS NULL OR claimed_until < NOW())${reportId ? ' AND report_id = ?' : ''}
+      ORDER BY id
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    `, reportId ? [reportId, limit] : [limit]);
+
+    if (rows.length > 0) {
+      await query('UPDATE outbox SET claimed_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id IN (?)', [
+        getClaimSeconds(),
+        rows.map(row => row.id)
+      ]);
+    }
+    return rows;
+  });
+}
+
+/**
+ * Publishes unsent outbox rows and marks them sent. The rows are claimed and
+ * the claim committed before publishing, so no transaction (pooled connection
+ * and row locks) stays open while waiting on the broker's confirms.
+ * @param {object} [options] - { reportId } to only dispatch one report's messages, { limit }
+ * @returns {Promise<number>} Number of published messages
+ */
+async function dispatchPending({ reportId = null, limit = 100 } = {}) {
+  const rows = await claimPending({ reportId, limit });
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const ids = rows.map(row => row.id);
+  try {
+    await Promise.all(rows.map(publishRow));
+  } catch (error) {
+    // Hand the rows back right away rather than after the claim expires
+    await runQuery('UPDATE outbox SET claimed_until = NULL WHERE id IN (?) AND sent_at IS NULL', [ids])
+      .catch(releaseError => console.error('⚠️ Could not release outbox rows:', releaseError.message));
+    throw error;
+  }
+
+  // Only mark rows sent once the broker has confirmed every message
+  await runQuery('UPDATE outbox SET sent_at = NOW(), claimed_until = NULL WHERE id IN (?)', [ids]);
+  return rows.length;
+}
+
+module.exports = { enqueueMessage, dispatchPending };
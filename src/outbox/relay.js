@@ -0,0 +1,115 @@
+/**
+ * Outbox Relay
+ * Publishes unsent outbox rows to RabbitMQ with publisher confirms and marks
+ * them sent. The API publishes a new report's job itself right after commit;
+ * the relay picks up whatever that fast path missed. Delivery is
+ * at-least-once: a crash between the broker's confirm and marking the rows
+ * sent republishes the batch once its claim expires, which the worker's
+ * guarded status updates tolerate.
+ *
+ * Run with: node src/outbox/relay.js
+ */
+require('dotenv').config();
+const db = require('../config/db');
+const { runQuery } = require('../config/query');
+const { connectRabbitMQ, getBrokerStatus, closeRabbitMQ } = require('../config/rabbitmq');
+const { dispatchPending } = require('./outbox');
+
+const POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '500');
+const BATCH_SIZE = parseInt(process.env.OUTBOX_BATCH_SIZE || '100');
+const RETENTION_HOURS = parseInt(process.env.OUTBOX_RETENTION_HOURS || '24');
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let running = false;
+
+/**
+ * Publishes one batch of unsent outbox rows and marks them sent.
+ * Rows are claimed with SKIP LOCKED so several relays can run side by side.
+ * @param {number} [batchSize] - Maximum number of rows to publish
+ * @returns {Promise<number>} Number of published messages
+ */
+function relayBatch(batchSize = BATCH_SIZE) {
+  return dispatchPending({ limit: batchSize });
+}
+
+/**
+ * Deletes sent rows older than the retention period
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function purgeSentMessages() {
+  const result = await runQuery(
+    'DELETE FROM outbox WHERE sent_at IS NOT NULL AND sent_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+    [RETENTION_HOURS]
+  );
+  return result.affectedRows;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls the outbox until stopRelay() is called
+ */
+async function startRelay() {
+  await connectRabbitMQ();
+  running = true;
+
+  const cleanup = setInterval(() => {
+    purgeSentMessages()
+      .then(purged => purged > 0 && console.log(`🧹 Purged ${purged} sent outbox message(s)`))
+      .catch(error => console.error('❌ Failed to purge sent outbox messages:', error.message));
+  }, CLEANUP_INTERVAL_MS);
+  cleanup.unref();
+
+  console.log(`🟢 Outbox relay polling every ${POLL_INTERVAL_MS}ms (batch size ${BATCH_SIZE})`);
+
+  while (running) {
+    // The connection manager is reconnecting; rows wait in the outbox meanwhile
+    if (!getBrokerStatus().connected) {
+      await sleep(POLL_INTERVAL_MS);
+      continue;
+    }
+
+    try {
+      const published = await relayBatch();
+      if (published > 0) {
+        console.log(`📤 Relayed ${published} outbox message(s)`);
+      }
+      // A full batch means more rows are probably waiting
+      if (published < BATCH_SIZE) {
+        await sleep(POLL_INTERVAL_MS);
+      }
+    } catch (error) {
+      console.error('❌ Outbox relay error:', error.message);
+      await sleep(POLL_INTERVAL_MS);
+    }
+  }
+
+  clearInterval(cleanup);
+}
+
+function stopRelay() {
+  running = false;
+}
+
+if (require.main === module) {
+  const relay = startRelay().catch((error) => {
+    console.error('❌ Outbox relay startup error:', error);
+    process.exit(1);
+  });
+
+  const shutdown = async () => {
+    console.log('\n⚠️ Shutting down outbox relay gracefully...');
+    stopRelay();
+    await relay;
+    await closeRabbitMQ();
+    db.end();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { relayBatch, purgeSentMessages, startRelay, stopRelay };
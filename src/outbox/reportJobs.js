@@ -0,0 +1,96 @@
+/**
+ * Report Jobs
+ * Queues report jobs for the workers through the transactional outbox. Shared
+ * by the API, which creates and replays reports, and the worker's lease reaper
+ */
+const { enqueueMessage, dispatchPending } = require('./outbox');
+const { getTopology, routingKeyFor } = require('../config/topology');
+
+/**
+ * Builds the job message for a report from its stored request payload
+ * @param {string} reportId - Report identifier
+ * @param {object} requestPayload - { report_type, parameters, format }
+ * @returns {object} Message payload
+ */
+function buildJobMessage(reportId, requestPayload) {
+  return {
+    report_id: reportId,
+    report_type: requestPayload.report_type,
+    parameters: requestPayload.parameters || {},
+    format: requestPayload.format,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Writes a report job to the outbox, inside the caller's transaction
+ * @param {Function} query - Transactional query(sql, values) from withTransaction
+ * @param {string} reportId - Report identifier
+ * @param {object} requestPayload - { report_type, parameters, format }
+ * @param {number} [priority] - AMQP message priority of the job
+ * @returns {Promise<object>} Insert result
+ */
+function enqueueReportJob(query, reportId, requestPayload, priority) {
+  return enqueueMessage(query, {
+    reportId,
+    exchange: getTopology().reportExchange,
+    // Routed to the report type's own queue
+    routingKey: routingKeyFor(requestPayload.report_type),
+    payload: buildJobMessage(reportId, requestPayload),
+    properties: priority === undefined || priority === null ? null : { priority }
+  });
+}
+
+/**
+ * Writes a delayed retry of a report job to the outbox, inside the caller's
+ * transaction. Like the worker's retries, it waits in the delay queue for its
+ * attempt until the delay elapses.
+ * @param {Function} query - Transactional query(sql, values) from withTransaction
+ * @param {string} reportId - Report identifier
+ * @param {object} requestPayload - { report_type, parameters, format }
+ * @param {number} priority - AMQP message priority of the job
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {number} delayMs - Time the job waits before it is delivered
+ * @returns {Promise<object>} Insert result
+ */
+function enqueueReportRetry(query, reportId, requestPayload, priority, attempt, delayMs) {
+  return enqueueMessage(query, {
+    reportId,
+    exchange: getTopology().retryExchange,
+    routingKey: routingKeyFor(requestPayload.report_type),
+    payload: buildJobMessage(reportId, requestPayload),
+    properties: {
+      priority,
+      expiration: String(delayMs),
+      headers: { 'x-retry-level': String(attempt) }
+    }
+  });
+}
+
+/**
+ * Publishes a report's pending outbox messages right away and waits for the
+ * broker's confirms, so the caller knows the job reached RabbitMQ. Anything
+ * this misses is still published by the relay.
+ * @param {string} reportId - Report identifier
+ * @returns {Promise<number>} Number of published messages
+ */
+function dispatchReportJob(reportId) {
+  return dispatchPending({ reportId });
+}
+
+/**
+ * Publishes a report's committed job right away for callers that do not wait
+ * on the broker. Never rejects: a job it fails to publish stays in the outbox
+ * for the relay.
+ * @param {string} reportId - Report identifier
+ * @returns {Promise<void>}
+ */
+async function publishReportJob(reportId) {
+  try {
+    await dispatchReportJob(reportId);
+  } catch (error) {
+    console.error(`⚠️ Job of report ${reportId} left to the outbox relay:`, error.message);
+  }
+}
+
+module.exports = { buildJobMessage, enqueueReportJob, enqueueReportRetry, dispatchReportJob, publishReportJob };
@@ -0,0 +1,180 @@
+/**
+ * Report Errors Module
+ * Error types shared by the report registry, generators and the worker.
+ * Every error carries a stable `code`, stored as `error_code` on the report,
+ * and a `retryable` flag the worker uses to decide between retrying and failing.
+ */
+
+/**
+ * Base class of all report errors
+ */
+class ReportError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', retryable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ReportError';
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Raised when a report_type has no registered generator.
+ * Retrying cannot fix this, so the worker fails the report immediately.
+ */
+class UnknownReportTypeError extends ReportError {
+  constructor(reportType) {
+    super(`Unknown report type: ${reportType}`, { code: 'UNKNOWN_REPORT_TYPE' });
+    this.name = 'UnknownReportTypeError';
+    this.reportType = reportType;
+  }
+}
+
+/**
+ * Raised when report parameters do not satisfy the report type's schema.
+ * Carries every field error so callers can report them all at once.
+ */
+class ReportValidationError extends ReportError {
+  constructor(errors) {
+    super(`Invalid report parameters: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, {
+      code: 'VALIDATION_ERROR'
+    });
+    this.name = 'ReportValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised by a generator when data the report is about does not exist
+ * (e.g. an unknown user). Permanent.
+ */
+class NotFoundError extends ReportError {
+  constructor(message) {
+    super(message, { code: 'NOT_FOUND' });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Raised for failures expected to go away on their own (lost connections,
+ * deadlocks, an unavailable storage backend). Retried with backoff.
+ */
+class TransientError extends ReportError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'TRANSIENT_ERROR', retryable: true, cause });
+    this.name = 'TransientError';
+  }
+}
+
+/**
+ * Raised when a query or upstream call took too long. Retried with backoff.
+ */
+class TimeoutError extends ReportError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'TIMEOUT', retryable: true, cause });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Raised inside a generator when its report was cancelled.
+ * Cancelled reports are acknowledged, never retried or dead-lettered.
+ */
+class ReportCancelledError extends ReportError {
+  constructor(reportId) {
+    super(`Report ${reportId} was cancelled`, { code: 'CANCELLED' });
+    this.name = 'ReportCancelledError';
+    this.reportId = reportId;
+  }
+}
+
+/**
+ * Raised when the thread generating a report dies (uncaught exception,
+ * out of memory). The worker itself is unaffected, so the report is retried.
+ */
+class GeneratorCrashedError extends ReportError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'GENERATOR_CRASHED', retryable: true, cause });
+    this.name = 'GeneratorCrashedError';
+  }
+}
+
+/**
+ * Raised inside a report interrupted because its worker is shutting down.
+ * Not the report's fault: it goes back to pending and its message back to
+ * the queue without using up a retry.
+ */
+class WorkerShutdownError extends ReportError {
+  constructor(reportId) {
+    super(`Report ${reportId} was interrupted by a worker shutdown`, { code: 'WORKER_SHUTDOWN', retryable: true });
+    this.name = 'WorkerShutdownError';
+    this.reportId = reportId;
+  }
+}
+
+// Driver and network error codes that indicate a timeout
+const TIMEOUT_CODES = new Set([
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'PROTOCOL_SEQUENCE_TIMEOUT',
+  'ER_QUERY_TIMEOUT',
+  'TimeoutError',
+  'RequestTimeout'
+]);
+
+// Driver and network error codes that indicate a transient failure
+const TRANSIENT_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_LOCK_WAIT_TIMEOUT',
+  'ER_LOCK_DEADLOCK',
+  'ER_CON_COUNT_ERROR',
+  'ER_TOO_MANY_USER_CONNECTIONS',
+  'SlowDown',
+  'ServiceUnavailable',
+  'InternalError'
+]);
+
+/**
+ * Maps any error thrown while processing a report onto the hierarchy.
+ * Report errors are returned as is; known driver, network and S3 failures
+ * become TransientError or TimeoutError; anything else is a permanent
+ * INTERNAL_ERROR, since retrying a bug only delays the failure.
+ * @param {Error} error - Error raised while processing
+ * @returns {ReportError}
+ */
+function classifyError(error) {
+  if (error instanceof ReportError) {
+    return error;
+  }
+
+  const code = error && (error.code || error.name);
+  const message = error && error.message ? error.message : String(error);
+
+  if (TIMEOUT_CODES.has(code)) {
+    return new TimeoutError(message, { cause: error });
+  }
+
+  const status = error && error.$metadata ? error.$metadata.httpStatusCode : undefined;
+  if (TRANSIENT_CODES.has(code) || (error && error.fatal) || status >= 500 || status === 429) {
+    return new TransientError(message, { cause: error });
+  }
+
+  return new ReportError(message, { cause: error });
+}
+
+module.exports = {
+  ReportError,
+  UnknownReportTypeError,
+  ReportValidationError,
+  NotFoundError,
+  TransientError,
+  TimeoutError,
+  ReportCancelledError,
+  GeneratorCrashedError,
+  WorkerShutdownError,
+  classifyError
+};
@@ -0,0 +1,39 @@
+/**
+ * CSV renderer
+ */
+
+/**
+ * Quotes a value when it contains a delimiter, quote or line break
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * @param {object} dataset - Generated dataset
+ * @returns {Promise<Buffer>}
+ */
+async function render(dataset) {
+  const lines = [dataset.columns.map(escapeCsvValue).join(',')];
+
+  for (const row of dataset.rows) {
+    lines.push(dataset.columns.map(column => escapeCsvValue(row[column])).join(','));
+  }
+
+  return Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+module.exports = {
+  format: 'csv',
+  mimeType: 'text/csv',
+  extension: 'csv',
+  render
+};
@@ -0,0 +1,60 @@
+/**
+ * Report Formats Module
+ * Renders generated datasets into downloadable artifacts
+ */
+
+const renderers = {
+  csv: require('./csv'),
+  json: require('./json'),
+  xlsx: require('./xlsx'),
+  pdf: require('./pdf')
+};
+
+const SUPPORTED_FORMATS = Object.keys(renderers);
+const DEFAULT_FORMAT = 'pdf';
+
+/**
+ * Checks whether an output format is supported
+ * @param {string} format - Output format
+ * @returns {boolean}
+ */
+function isSupportedFormat(format) {
+  return Object.prototype.hasOwnProperty.call(renderers, format);
+}
+
+/**
+ * Looks up the renderer for an output format
+ * @param {string} format - Output format
+ * @returns {object} Renderer ({ format, mimeType, extension, render })
+ */
+function getRenderer(format) {
+  if (!isSupportedFormat(format)) {
+    throw new Error(`Unsupported report format: ${format}`);
+  }
+  return renderers[format];
+}
+
+/**
+ * Renders a dataset into the requested format
+ * @param {object} dataset - Generated dataset ({ title, columns, rows, summary })
+ * @param {string} format - Output format
+ * @returns {Promise<object>} { content: Buffer, mimeType, extension }
+ */
+async function renderReport(dataset, format) {
+  const renderer = getRenderer(format);
+  const content = await renderer.render(dataset);
+
+  return {
+    content,
+    mimeType: renderer.mimeType,
+    extension: renderer.extension
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  DEFAULT_FORMAT,
+  isSupportedFormat,
+  getRenderer,
+  renderReport
+};
@@ -0,0 +1,26 @@
+/**
+ * JSON renderer
+ */
+
+/**
+ * @param {object} dataset - Generated dataset
+ * @returns {Promise<Buffer>}
+ */
+async function render(dataset) {
+  const document = {
+    title: dataset.title,
+    generated_at: new Date().toISOString(),
+    columns: dataset.columns,
+    rows: dataset.rows,
+    summary: dataset.summary
+  };
+
+  return Buffer.from(JSON.stringify(document, null, 2), 'utf8');
+}
+
+module.exports = {
+  format: 'json',
+  mimeType: 'application/json',
+  extension: 'json',
+  render
+};
@@ -0,0 +1,88 @@
+/**
+ * PDF renderer
+ */
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 16;
+
+/**
+ * Writes one table row, one fixed-width cell per column
+ */
+function drawRow(doc, values, columnWidth, options = {}) {
+  const y = doc.y;
+
+  values.forEach((value, index) => {
+    doc.text(value === null || value === undefined ? '' : String(value),
+      PAGE_MARGIN + index * columnWidth, y, {
+        width: columnWidth - 6,
+        height: ROW_HEIGHT,
+        ellipsis: true,
+        lineBreak: false,
+        ...options
+      });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + ROW_HEIGHT;
+}
+
+/**
+ * @param {object} dataset - Generated dataset
+ * @returns {Promise<Buffer>}
+ */
+function render(dataset) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+    const columnWidth = tableWidth / Math.max(dataset.columns.length, 1);
+    const pageBottom = doc.page.height - PAGE_MARGIN - ROW_HEIGHT;
+
+    doc.fontSize(16).text(dataset.title || 'Report');
+    doc.fontSize(9).fillColor('#555555').text(`Generated at ${new Date().toISOString()}`);
+    doc.moveDown().fillColor('#000000').fontSize(9);
+
+    const drawHeader = () => {
+      doc.font('Helvetica-Bold');
+      drawRow(doc, dataset.columns, columnWidth);
+      doc.font('Helvetica');
+    };
+
+    drawHeader();
+
+    if (dataset.rows.length === 0) {
+      doc.text('No data for the selected parameters.');
+    }
+
+    for (const row of dataset.rows) {
+      if (doc.y > pageBottom) {
+        doc.addPage();
+        drawHeader();
+      }
+      drawRow(doc, dataset.columns.map(column => row[column]), columnWidth);
+    }
+
+    if (dataset.summary) {
+      doc.moveDown().font('Helvetica-Bold').text('Summary');
+      doc.font('Helvetica');
+      for (const [metric, value] of Object.entries(dataset.summary)) {
+        doc.text(`${metric}: ${value}`);
+      }
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  format: 'pdf',
+  mimeType: 'application/pdf',
+  extension: 'pdf',
+  render
+};
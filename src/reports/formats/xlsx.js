@@ -0,0 +1,43 @@
+/**
+ * XLSX renderer
+ */
+const ExcelJS = require('exceljs');
+
+/**
+ * @param {object} dataset - Generated dataset
+ * @returns {Promise<Buffer>}
+ */
+async function render(dataset) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet('Report');
+  sheet.columns = dataset.columns.map(column => ({
+    header: column,
+    key: column,
+    width: Math.max(column.length + 2, 14)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(dataset.rows);
+
+  if (dataset.summary) {
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'metric', key: 'metric', width: 20 },
+      { header: 'value', key: 'value', width: 20 }
+    ];
+    summarySheet.getRow(1).font = { bold: true };
+    for (const [metric, value] of Object.entries(dataset.summary)) {
+      summarySheet.addRow({ metric, value });
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  format: 'xlsx',
+  mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  extension: 'xlsx',
+  render
+};
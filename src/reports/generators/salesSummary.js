@@ -0,0 +1,75 @@
+/**
+ * sales_summary generator
+ * Aggregates orders per region between two dates
+ */
+
+const columns = ['region', 'orders', 'units', 'revenue'];
+
+/**
+ * @param {object} parameters - { startDate, endDate, region? }
+ * @param {object} context - { reportId, query, signal, progress }
+ * @returns {Promise<object>} Report dataset ({ title, columns, rows, summary })
+ */
+async function generate(parameters, context) {
+  const { startDate, endDate, region } = parameters;
+
+  let sql = `
+    SELECT region,
+           COUNT(*) AS orders,
+           COALESCE(SUM(quantity), 0) AS units,
+           COALESCE(SUM(amount), 0) AS revenue
+    FROM sales_orders
+    WHERE order_date BETWEEN ? AND ?
+  `;
+  const values = [startDate, endDate];
+
+  if (region) {
+    sql += ' AND region = ?';
+    values.push(region);
+  }
+
+  sql += ' GROUP BY region ORDER BY region';
+
+  context.progress({ percent: 0, stage: 'querying' });
+  const results = await context.query(sql, values);
+  context.progress({ percent: 80, stage: 'summarizing', message: `${results.length} rows` });
+
+  const rows = results.map(row => ({
+    region: row.region,
+    orders: Number(row.orders),
+    units: Number(row.units),
+    revenue: Number(row.revenue)
+  }));
+
+  const summary = rows.reduce((totals, row) => ({
+    orders: totals.orders + row.orders,
+    units: totals.units + row.units,
+    revenue: totals.revenue + row.revenue
+  }), { orders: 0, units: 0, revenue: 0 });
+
+  return {
+    title: `Sales summary ${startDate} to ${endDate}${region ? ` (${region})` : ''}`,
+    columns,
+    rows,
+    summary
+  };
+}
+
+module.exports = {
+  type: 'sales_summary',
+  description: 'Orders, units sold and revenue per region for a date range',
+  parameters: {
+    type: 'object',
+    properties: {
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      region: { type: 'string', enum: ['NA', 'EMEA', 'APAC', 'LATAM'] }
+    },
+    required: ['startDate', 'endDate'],
+    additionalProperties: false,
+    'x-dateRange': { start: 'startDate', end: 'endDate', maxDays: 366 }
+  },
+  estimatedRuntimeSeconds: 15,
+  cacheTtlSeconds: 3600,
+  generate
+};
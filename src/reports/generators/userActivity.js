@@ -0,0 +1,88 @@
+/**
+ * user_activity generator
+ * Counts user events per user and event type
+ */
+
+const columns = ['user_id', 'event_type', 'events', 'first_seen', 'last_seen'];
+
+/**
+ * @param {object} parameters - { userId?, startDate?, endDate? }
+ * @param {object} context - { reportId, query, signal, progress }
+ * @returns {Promise<object>} Report dataset ({ title, columns, rows, summary })
+ */
+async function generate(parameters, context) {
+  const { userId, startDate, endDate } = parameters;
+
+  const conditions = [];
+  const values = [];
+
+  if (userId) {
+    conditions.push('user_id = ?');
+    values.push(userId);
+  }
+  if (startDate) {
+    conditions.push('occurred_at >= ?');
+    values.push(startDate);
+  }
+  if (endDate) {
+    // endDate is inclusive of the whole day
+    conditions.push('occurred_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    values.push(endDate);
+  }
+
+  const sql = `
+    SELECT user_id,
+           event_type,
+           COUNT(*) AS events,
+           MIN(occurred_at) AS first_seen,
+           MAX(occurred_at) AS last_seen
+    FROM user_events
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY user_id, event_type
+    ORDER BY user_id, event_type
+  `;
+
+  context.progress({ percent: 0, stage: 'querying' });
+  const results = await context.query(sql, values);
+  context.progress({ percent: 80, stage: 'summarizing', message: `${results.length} rows` });
+
+  const rows = results.map(row => ({
+    user_id: row.user_id,
+    event_type: row.event_type,
+    events: Number(row.events),
+    first_seen: new Date(row.first_seen).toISOString(),
+    last_seen: new Date(row.last_seen).toISOString()
+  }));
+
+  return {
+    title: userId ? `User activity for ${userId}` : 'User activity',
+    columns,
+    rows,
+    summary: {
+      users: new Set(rows.map(row => row.user_id)).size,
+      events: rows.reduce((total, row) => total + row.events, 0)
+    }
+  };
+}
+
+module.exports = {
+  type: 'user_activity',
+  description: 'Event counts per user and event type, optionally filtered by user and date range',
+  parameters: {
+    type: 'object',
+    properties: {
+      userId: { type: 'string', minLength: 1, maxLength: 100 },
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' }
+    },
+    anyOf: [
+      { required: ['userId'] },
+      { required: ['startDate'] }
+    ],
+    additionalProperties: false,
+    'x-dateRange': { start: 'startDate', end: 'endDate', maxDays: 366 }
+  },
+  estimatedRuntimeSeconds: 10,
+  cacheTtlSeconds: 300,
+  generate
+};
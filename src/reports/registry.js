@@ -0,0 +1,123 @@
+/**
+ * Report Registry Module
+ * Maps each report_type to the generator module that produces its content
+ */
+const { UnknownReportTypeError } = require('./errors');
+const { SUPPORTED_FORMATS, DEFAULT_FORMAT } = require('./formats');
+
+const generators = new Map();
+
+/**
+ * Registers a report generator
+ * @param {object} generator - Generator module
+ *   ({ type, description, parameters, formats?, estimatedRuntimeSeconds?, cacheTtlSeconds?, generate })
+ */
+function registerGenerator(generator) {
+  if (!generator || typeof generator.type !== 'string' || !generator.type) {
+    throw new Error('Report generator must declare a type');
+  }
+  if (typeof generator.generate !== 'function') {
+    throw new Error(`Report generator ${generator.type} must implement generate()`);
+  }
+  if (generator.formats && !generator.formats.every(format => SUPPORTED_FORMATS.includes(format))) {
+    throw new Error(`Report generator ${generator.type} declares an unsupported format`);
+  }
+  if (generators.has(generator.type)) {
+    throw new Error(`Report generator ${generator.type} is already registered`);
+  }
+
+  generators.set(generator.type, generator);
+}
+
+/**
+ * Checks whether a generator is registered for a report type
+ * @param {string} reportType - Type of report
+ * @returns {boolean}
+ */
+function hasGenerator(reportType) {
+  return generators.has(reportType);
+}
+
+/**
+ * Looks up the generator for a report type
+ * @param {string} reportType - Type of report
+ * @returns {object} Registered generator module
+ * @throws {UnknownReportTypeError} When no generator is registered
+ */
+function getGenerator(reportType) {
+  const generator = generators.get(reportType);
+  if (!generator) {
+    throw new UnknownReportTypeError(reportType);
+  }
+  return generator;
+}
+
+/**
+ * Lists all registered generators
+ * @returns {object[]}
+ */
+function listGenerators() {
+  return Array.from(generators.values());
+}
+
+/**
+ * Lists the output formats a report type can be rendered in
+ * @param {string} reportType - Type of report
+ * @returns {string[]}
+ */
+function getSupportedFormats(reportType) {
+  return getGenerator(reportType).formats || SUPPORTED_FORMATS;
+}
+
+/**
+ * Picks the format used when a request does not specify one
+ * @param {string} reportType - Type of report
+ * @returns {string}
+ */
+function getDefaultFormat(reportType) {
+  const formats = getSupportedFormats(reportType);
+  return formats.includes(DEFAULT_FORMAT) ? DEFAULT_FORMAT : formats[0];
+}
+
+/**
+ * How long a completed report of this type may be reused for identical requests
+ * @param {string} reportType - Type of report
+ * @returns {number} Seconds; 0 disables reuse
+ */
+function getCacheTtlSeconds(reportType) {
+  return getGenerator(reportType).cacheTtlSeconds || 0;
+}
+
+/**
+ * Describes a report type for API clients, from the same definition the
+ * controller validates against and the worker generates with
+ * @param {string} reportType - Type of report
+ * @returns {object}
+ */
+function describeReportType(reportType) {
+  const generator = getGenerator(reportType);
+  return {
+    report_type: generator.type,
+    description: generator.description || null,
+    parameters: generator.parameters || { type: 'object' },
+    formats: getSupportedFormats(reportType),
+    default_format: getDefaultFormat(reportType),
+    estimated_runtime_seconds: generator.estimatedRuntimeSeconds || null,
+    cache_ttl_seconds: getCacheTtlSeconds(reportType)
+  };
+}
+
+// Built-in report types
+registerGenerator(require('./generators/salesSummary'));
+registerGenerator(require('./generators/userActivity'));
+
+module.exports = {
+  registerGenerator,
+  hasGenerator,
+  getGenerator,
+  listGenerators,
+  getSupportedFormats,
+  getDefaultFormat,
+  getCacheTtlSeconds,
+  describeReportType
+};
@@ -0,0 +1,159 @@
+/**
+ * Report Parameter Validation Module
+ * Validates report parameters against the JSON Schema style definition that
+ * each generator declares. Supported keywords: type, properties, required,
+ * additionalProperties, enum, format (date), minLength, maxLength, pattern,
+ * minimum, maximum, anyOf (of required sets) and x-dateRange.
+ */
+const { hasGenerator, getGenerator } = require('./registry');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a YYYY-MM-DD string into a UTC date, or null when it is not a real date
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_REGEX.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return null;
+  }
+  return date;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates a single property value, pushing every violation into errors
+ */
+function validateProperty(field, value, schema, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be of type ${schema.type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (schema.format === 'date' && !parseDate(value)) {
+    errors.push({ field, message: 'must be a valid date (YYYY-MM-DD)' });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match pattern ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+}
+
+/**
+ * Validates parameters against an object schema
+ * @param {object} parameters - Report parameters
+ * @param {object} schema - Parameter schema
+ * @param {string} [prefix] - Field path prefix used in error messages
+ * @returns {object[]} Field errors ({ field, message }), empty when valid
+ */
+function validateSchema(parameters, schema, prefix = 'parameters') {
+  const errors = [];
+  const properties = schema.properties || {};
+
+  if (!matchesType(parameters, 'object')) {
+    return [{ field: prefix, message: 'must be an object' }];
+  }
+
+  for (const name of schema.required || []) {
+    if (parameters[name] === undefined || parameters[name] === null) {
+      errors.push({ field: `${prefix}.${name}`, message: 'is required' });
+    }
+  }
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (!properties[name]) {
+      if (schema.additionalProperties === false) {
+        errors.push({ field: `${prefix}.${name}`, message: 'is not allowed' });
+      }
+      continue;
+    }
+    if (value !== undefined && value !== null) {
+      validateProperty(`${prefix}.${name}`, value, properties[name], errors);
+    }
+  }
+
+  if (schema.anyOf) {
+    const satisfied = schema.anyOf.some(option =>
+      (option.required || []).every(name => parameters[name] !== undefined && parameters[name] !== null)
+    );
+    if (!satisfied) {
+      const alternatives = schema.anyOf.map(option => option.required.join(' + ')).join(' or ');
+      errors.push({ field: prefix, message: `must include ${alternatives}` });
+    }
+  }
+
+  const range = schema['x-dateRange'];
+  if (range) {
+    const start = parseDate(parameters[range.start]);
+    const end = parseDate(parameters[range.end]);
+
+    if (start && end) {
+      if (start > end) {
+        errors.push({ field: `${prefix}.${range.end}`, message: `must not be before ${range.start}` });
+      } else if (range.maxDays && (end - start) / DAY_MS + 1 > range.maxDays) {
+        errors.push({ field: `${prefix}.${range.end}`, message: `date range must not exceed ${range.maxDays} days` });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a report request against the schema registered for its type
+ * @param {string} reportType - Type of report
+ * @param {object} parameters - Report parameters
+ * @returns {object[]} Field errors ({ field, message }), empty when valid
+ */
+function validateReportParameters(reportType, parameters) {
+  if (!hasGenerator(reportType)) {
+    return [{ field: 'report_type', message: `unknown report type: ${reportType}` }];
+  }
+
+  const { parameters: schema } = getGenerator(reportType);
+  return schema ? validateSchema(parameters || {}, schema) : [];
+}
+
+module.exports = {
+  validateSchema,
+  validateReportParameters
+};
@@ -0,0 +1,16 @@
+/**
+ * Storage Errors Module
+ */
+
+/**
+ * Raised when a stored artifact cannot be found in the backend
+ */
+class ArtifactNotFoundError extends Error {
+  constructor(key) {
+    super(`Artifact not found: ${key}`);
+    this.name = 'ArtifactNotFoundError';
+    this.key = key;
+  }
+}
+
+module.exports = { ArtifactNotFoundError };
@@ -0,0 +1,52 @@
+/**
+ * Filesystem storage backend
+ * Stores artifacts as files below a root directory (a shared volume in Docker)
+ */
+const fs = require('fs');
+const path = require('path');
+const { ArtifactNotFoundError } = require('./errors');
+
+/**
+ * @param {object} options - { rootDir }
+ * @returns {object} Storage backend
+ */
+function createFilesystemStorage({ rootDir }) {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+    return filePath;
+  };
+
+  /**
+   * Writes an artifact
+   * @param {string} key - Artifact key
+   * @param {Buffer} content - Artifact bytes
+   */
+  async function put(key, content) {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+  }
+
+  /**
+   * Opens a readable stream for an artifact
+   * @param {string} key - Artifact key
+   * @returns {Promise<Readable>}
+   * @throws {ArtifactNotFoundError} When the file does not exist
+   */
+  async function getStream(key) {
+    const filePath = resolveKey(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (error) {
+      throw new ArtifactNotFoundError(key);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  return { name: 'fs', put, getStream };
+}
+
+module.exports = { createFilesystemStorage };
@@ -0,0 +1,45 @@
+/**
+ * Artifact Storage Module
+ * Selects the storage backend for rendered reports (STORAGE_BACKEND=fs|s3)
+ */
+const path = require('path');
+
+let storage;
+
+/**
+ * Creates the storage backend configured through environment variables
+ * @returns {object} Storage backend ({ name, put, getStream })
+ */
+function createStorage() {
+  const backend = (process.env.STORAGE_BACKEND || 'fs').toLowerCase();
+
+  switch (backend) {
+    case 'fs':
+      return require('./filesystemStorage').createFilesystemStorage({
+        rootDir: process.env.REPORTS_DIR || path.join(process.cwd(), 'generated-reports')
+      });
+    case 's3':
+      return require('./s3Storage').createS3Storage({
+        bucket: process.env.S3_BUCKET || 'reports',
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+}
+
+/**
+ * Get the shared storage backend instance
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+module.exports = { createStorage, getStorage };
@@ -0,0 +1,87 @@
+/**
+ * S3-compatible storage backend
+ * Works against AWS S3 or a local MinIO (set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true)
+ */
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  CreateBucketCommand
+} = require('@aws-sdk/client-s3');
+const { ArtifactNotFoundError } = require('./errors');
+
+/**
+ * @param {object} options - { bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey }
+ * @returns {object} Storage backend
+ */
+function createS3Storage({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, client }) {
+  const s3 = client || new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  let bucketReady;
+
+  /**
+   * Creates the bucket on first use when it does not exist yet
+   */
+  function ensureBucket() {
+    if (!bucketReady) {
+      bucketReady = s3.send(new HeadBucketCommand({ Bucket: bucket }))
+        .catch(async (error) => {
+          if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+            console.log(`🪣 Creating storage bucket ${bucket}`);
+            await s3.send(new CreateBucketCommand({ Bucket: bucket }));
+            return;
+          }
+          throw error;
+        })
+        .catch((error) => {
+          bucketReady = null;
+          throw error;
+        });
+    }
+    return bucketReady;
+  }
+
+  /**
+   * Uploads an artifact
+   * @param {string} key - Object key
+   * @param {Buffer} content - Artifact bytes
+   * @param {object} options - { contentType }
+   */
+  async function put(key, content, { contentType } = {}) {
+    await ensureBucket();
+    await s3.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: content,
+      ContentType: contentType
+    }));
+  }
+
+  /**
+   * Opens a readable stream for an artifact
+   * @param {string} key - Object key
+   * @returns {Promise<Readable>}
+   * @throws {ArtifactNotFoundError} When the object does not exist
+   */
+  async function getStream(key) {
+    try {
+      const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        throw new ArtifactNotFoundError(key);
+      }
+      throw error;
+    }
+  }
+
+  return { name: 's3', put, getStream };
+}
+
+module.exports = { createS3Storage };
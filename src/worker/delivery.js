@@ -0,0 +1,48 @@
+/**
+ * Delivery Tracking
+ * With several messages in flight on one channel, acking a delivery twice
+ * (or acking after a nack) makes RabbitMQ close the channel with
+ * "unknown delivery tag", which redelivers every other in-flight message.
+ * A tracked delivery is settled at most once.
+ */
+
+/**
+ * Wraps a delivery so it can only be acked or nacked once
+ * @param {object} msg - amqplib message
+ * @param {object} channel - Channel that delivered the message
+ * @returns {object} { ack(), nack(requeue), settled }
+ */
+function trackDelivery(msg, channel) {
+  let outcome = null;
+
+  function settle(action, settleFn) {
+    if (outcome) {
+      console.error(`⚠️ Delivery ${msg.fields.deliveryTag} was already ${outcome}, ignoring ${action}`);
+      return false;
+    }
+    outcome = action;
+
+    try {
+      settleFn();
+    } catch (error) {
+      // The channel closed (e.g. reconnection): the broker has already
+      // requeued the message and will deliver it again on the new channel
+      console.error(`⚠️ Could not ${action} delivery ${msg.fields.deliveryTag}:`, error.message);
+    }
+    return true;
+  }
+
+  return {
+    ack() {
+      return settle('acked', () => channel.ack(msg));
+    },
+    nack(requeue) {
+      return settle(requeue ? 'requeued' : 'rejected', () => channel.nack(msg, false, requeue));
+    },
+    get settled() {
+      return outcome !== null;
+    }
+  };
+}
+
+module.exports = { trackDelivery };
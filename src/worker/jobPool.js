@@ -0,0 +1,72 @@
+/**
+ * Job Pool
+ * Runs report jobs with bounded parallelism. The worker's prefetch already
+ * keeps the broker from delivering more than the pool size, but after a
+ * reconnection the new channel delivers again while jobs from the old one are
+ * still finishing; the pool queues those deliveries instead of exceeding the limit.
+ */
+
+class JobPool {
+  /**
+   * @param {number} concurrency - Jobs allowed to run at the same time
+   */
+  constructor(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Job pool concurrency must be a positive integer, got ${concurrency}`);
+    }
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Jobs queued for a free slot
+   */
+  get pending() {
+    return this.waiting.length;
+  }
+
+  /**
+   * Runs a job as soon as a slot is free
+   * @param {Function} job - Async function to run
+   * @returns {Promise<*>} Settles with the job's result
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ job, resolve, reject });
+      this.next();
+    });
+  }
+
+  /**
+   * Resolves once no job is running or queued
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.active === 0 && this.waiting.length === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  next() {
+    while (this.active < this.concurrency && this.waiting.length > 0) {
+      const { job, resolve, reject } = this.waiting.shift();
+      this.active++;
+
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+          if (this.active === 0 && this.waiting.length === 0) {
+            this.idleWaiters.splice(0).forEach(idle => idle());
+          }
+        });
+    }
+  }
+}
+
+module.exports = { JobPool };
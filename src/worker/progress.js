@@ -0,0 +1,101 @@
+/**
+ * Progress Reporting
+ * Generators report how far along a report is through context.progress().
+ * A generator may call it on every row, so updates are coalesced: the first
+ * is written right away and later ones at most once per interval, always
+ * ending with the latest.
+ */
+
+// Lengths of the progress_stage and progress_message columns
+const MAX_STAGE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 255;
+
+/**
+ * Picks the valid fields of a progress update; anything else is ignored so a
+ * sloppy call cannot fail the report
+ * @param {object} update - { percent?, stage?, message? }
+ * @returns {object} The fields to apply
+ */
+function normalizeProgress(update) {
+  const fields = {};
+  if (!update || typeof update !== 'object') {
+    return fields;
+  }
+
+  if (typeof update.percent === 'number' && Number.isFinite(update.percent)) {
+    fields.percent = Math.min(100, Math.max(0, Math.round(update.percent)));
+  }
+  if (typeof update.stage === 'string' && update.stage) {
+    fields.stage = update.stage.slice(0, MAX_STAGE_LENGTH);
+  }
+  if (typeof update.message === 'string') {
+    fields.message = update.message.slice(0, MAX_MESSAGE_LENGTH);
+  } else if (update.message === null) {
+    fields.message = null;
+  }
+  return fields;
+}
+
+/**
+ * Tracks the progress of one report and writes it with throttling
+ * @param {Function} write - write({ percent, stage, message }) persisting an update
+ * @param {object} [options] - { intervalMs } minimum time between two writes
+ * @returns {object} { report(update), stop() }
+ */
+function createProgressTracker(write, { intervalMs = 2000 } = {}) {
+  let current = { percent: 0, stage: null, message: null };
+  let dirty = false;
+  let lastWriteAt = 0;
+  let timer = null;
+  let stopped = false;
+
+  function flush() {
+    timer = null;
+    if (!dirty || stopped) {
+      return;
+    }
+    dirty = false;
+    lastWriteAt = Date.now();
+
+    const update = { ...current };
+    Promise.resolve()
+      .then(() => write(update))
+      .catch(error => {
+        console.error('⚠️ Could not save report progress:', error.message);
+      });
+  }
+
+  return {
+    report(update) {
+      if (stopped) {
+        return;
+      }
+      const fields = normalizeProgress(update);
+      if (Object.keys(fields).length === 0) {
+        return;
+      }
+
+      // A new stage starts without the previous stage's message
+      const message = fields.stage !== undefined && fields.stage !== current.stage ? null : current.message;
+      current = { ...current, message, ...fields };
+      dirty = true;
+
+      const wait = lastWriteAt + intervalMs - Date.now();
+      if (wait <= 0) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, wait);
+        timer.unref();
+      }
+    },
+    /**
+     * Drops any update not written yet (the report finished or failed)
+     */
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
+
+module.exports = { normalizeProgress, createProgressTracker };
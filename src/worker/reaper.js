@@ -0,0 +1,131 @@
+/**
+ * Lease Reaper
+ * A worker leases each report it processes (worker_id and lease_expires_at,
+ * renewed by a heartbeat). A report still `processing` after its lease
+ * expired was abandoned by a worker that crashed or hung, so the reaper hands
+ * it back following the retry policy: a delayed retry while retries remain,
+ * otherwise failed. A report left `processing` by a release without leases
+ * has none at all and is handed back the same way. Every worker runs the
+ * reaper; SKIP LOCKED keeps two of them from reaping the same report.
+ */
+const { parseJsonColumn } = require('../config/query');
+const { withTransaction } = require('../config/transaction');
+const { getTopology } = require('../config/topology');
+const { enqueueReportRetry, publishReportJob } = require('../outbox/reportJobs');
+const retryPolicy = require('./retryPolicy');
+
+const REAPER_BATCH_SIZE = 100;
+
+/**
+ * Resets or fails one report with an expired lease, inside the transaction
+ * @returns {Promise<object>} { report_id, worker_id, action }
+ */
+async function reapReport(query, report, actor, maxRetries) {
+  const retryCount = report.retry_count || 0;
+  const reason = `Worker ${report.worker_id || 'unknown'} stopped renewing its lease`;
+  let action;
+
+  if (retryCount < maxRetries) {
+    const attempt = retryCount + 1;
+    const delayMs = retryPolicy.computeRetryDelay(attempt);
+    await query(`
+      UPDATE reports
+      SET status = 'pending', retry_count = ?, failure_reason = ?, error_code = 'LEASE_EXPIRED',
+          next_attempt_at = ?, lease_expires_at = NULL
+      WHERE id = ?
+    `, [attempt, reason, new Date(Date.now() + delayMs), report.id]);
+    await enqueueReportRetry(query, report.id, parseJsonColumn(report.request_payload), report.priority, attempt, delayMs);
+    action = 'retried';
+  } else {
+    await query(`
+      UPDATE reports
+      SET status = 'failed', failure_reason = ?, error_code = 'LEASE_EXPIRED', lease_expires_at = NULL
+      WHERE id = ?
+    `, [`Failed after ${maxRetries} retries: ${reason}`, report.id]);
+    action = 'failed';
+  }
+
+  await query(`
+    INSERT INTO report_events (report_id, event_type, actor, details)
+    VALUES (?, 'lease_expired', ?, ?)
+  `, [
+    report.id,
+    actor,
+    JSON.stringify({
+      worker_id: report.worker_id,
+      lease_expires_at: report.lease_expires_at,
+      retry_count: retryCount,
+      action
+    })
+  ]);
+
+  return { report_id: report.id, worker_id: report.worker_id, action };
+}
+
+/**
+ * Hands back reports whose lease has expired, or that never had one
+ * @param {object} options - { actor } recorded in report_events, { limit }
+ * @returns {Promise<object[]>} [{ report_id, worker_id, action: 'retried'|'failed' }]
+ */
+async function reapExpiredLeases({ actor, limit = REAPER_BATCH_SIZE }) {
+  const { maxRetries } = getTopology();
+
+  const reaped = await withTransaction(async query => {
+    const reports = await query(`
+      SELECT id, worker_id, lease_expires_at, retry_count, request_payload, priority
+      FROM reports
+      WHERE status = 'processing' AND (lease_expires_at IS NULL OR lease_expires_at < NOW())
+      ORDER BY lease_expires_at
+      LIMIT ?
+      FOR UPDATE SKIP LOCKED
+    `, [limit]);
+
+    const results = [];
+    for (const report of reports) {
+      results.push(await reapReport(query, report, actor, maxRetries));
+    }
+    return results;
+  });
+
+  // Publish the retries right away; the relay picks up anything missed
+  for (const { report_id: reportId, action } of reaped) {
+    if (action === 'retried') {
+      await publishReportJob(reportId);
+    }
+  }
+
+  return reaped;
+}
+
+/**
+ * Runs the reaper every REAPER_INTERVAL_MS until the returned function is called
+ * @param {object} options - { actor } recorded in report_events
+ * @returns {Function} Stops the reaper
+ */
+function startReaper({ actor }) {
+  const intervalMs = parseInt(process.env.REAPER_INTERVAL_MS || '30000');
+  let running = false;
+
+  const timer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow pass
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const reaped = await reapExpiredLeases({ actor });
+      for (const { report_id: reportId, worker_id: workerId, action } of reaped) {
+        console.log(`🪦 Report ${reportId} abandoned by worker ${workerId}: ${action}`);
+      }
+    } catch (error) {
+      console.error('❌ Lease reaper failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = { reapExpiredLeases, startReaper };
@@ -0,0 +1,41 @@
+/**
+ * Retry Policy Module
+ * Exponential backoff for failed report attempts. Retries wait in per-attempt
+ * delay queues (declared with the rest of the topology in
+ * ../config/topology.js) until their message expires and is dead-lettered
+ * back to the report exchange; ../outbox/reportJobs.js queues them.
+ */
+
+/**
+ * Reads the backoff settings from the environment
+ * @returns {object} { baseDelayMs, multiplier, jitter, maxDelayMs }
+ */
+function getRetryOptions() {
+  return {
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '5000'),
+    multiplier: parseFloat(process.env.RETRY_BACKOFF_MULTIPLIER || '2'),
+    jitter: parseFloat(process.env.RETRY_JITTER || '0.2'),
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '300000')
+  };
+}
+
+/**
+ * Computes the delay before a retry attempt:
+ * min(maxDelayMs, baseDelayMs * multiplier^(attempt - 1)), reduced by up to
+ * `jitter` (a fraction between 0 and 1) so retries of one outage spread out
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} [options] - Overrides for getRetryOptions()
+ * @param {Function} [random] - Source of randomness in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(attempt, options = getRetryOptions(), random = Math.random) {
+  const { baseDelayMs, multiplier, jitter, maxDelayMs } = options;
+  const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(multiplier, attempt - 1));
+  const spread = Math.min(Math.max(jitter, 0), 1);
+  return Math.round(delay * (1 - spread * random()));
+}
+
+module.exports = {
+  getRetryOptions,
+  computeRetryDelay
+};
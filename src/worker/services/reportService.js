@@ -2,38 +2,167 @@
  * Report Service Module
  * Contains business logic for report generation
  */
+const { runQuery } = require('../../config/query');
+const { getGenerator } = require('../../reports/registry');
+const formats = require('../../reports/formats');
+const validation = require('../../reports/validation');
+const { ReportValidationError } = require('../../reports/errors');
+const { getStorage } = require('../../storage');
+const { GeneratorThreadPool } = require('../threads/threadPool');
+
+// Created on first use when WORKER_THREADS is above 0
+let threadPool = null;
 
 /**
- * Simulates a complex report generation process
+ * Wraps query so it rejects as soon as the signal is aborted
+ * @param {AbortSignal} [signal] - Cancellation signal of the current report
+ * @returns {Function} query(sql, values)
+ */
+function createAbortableQuery(signal) {
+  if (!signal) {
+    return runQuery;
+  }
+
+  return (sql, values) => {
+    signal.throwIfAborted();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      runQuery(sql, values)
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  };
+}
+
+/**
+ * Generates report content by dispatching to the generator registered for the type
  * @param {string} reportId - Unique report identifier
  * @param {string} reportType - Type of report to generate
  * @param {object} parameters - Report parameters
- * @returns {Promise<string>} Generated report URL
+ * @param {object} [options] - { signal } aborted when the report is cancelled,
+ *   { onProgress } receiving the generator's progress updates
+ * @returns {Promise<object>} Generated dataset ({ title, columns, rows, summary })
+ * @throws {UnknownReportTypeError} When the report type is not registered
  */
-async function generateReport(reportId, reportType, parameters) {
-  // Simulate CPU-intensive processing with variable delay (5-10 seconds)
-  const processingTime = Math.floor(Math.random() * 5000) + 5000;
-  
+async function generateReport(reportId, reportType, parameters, { signal, onProgress } = {}) {
+  const generator = getGenerator(reportType);
+
   console.log(`🔧 Generating ${reportType} report...`);
   console.log(`   Report ID: ${reportId}`);
   console.log(`   Parameters:`, JSON.stringify(parameters));
-  console.log(`   Estimated time: ${processingTime}ms`);
 
-  await new Promise(resolve => setTimeout(resolve, processingTime));
+  const dataset = await generator.generate(parameters || {}, {
+    reportId,
+    query: createAbortableQuery(signal),
+    signal,
+    progress: update => onProgress && onProgress(update)
+  });
+
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  return dataset;
+}
+
+/**
+ * Persists rendered content in the configured storage backend
+ * @param {string} reportId - Unique report identifier
+ * @param {object} rendered - { content, mimeType, extension }
+ * @param {object} [options] - { signal } aborted when the report is cancelled
+ * @returns {Promise<object>} { artifactKey, mimeType, size }
+ */
+async function storeArtifact(reportId, { content, mimeType, extension }, { signal } = {}) {
+  const artifactKey = `${reportId}.${extension}`;
 
-  // Simulate random failures for testing (20% failure rate)
-  if (Math.random() < 0.2) {
-    throw new Error('Simulated transient processing error');
+  if (signal) {
+    signal.throwIfAborted();
   }
 
-  // Generate dummy report URL
-  const reportUrl = `http://reports.example.com/${reportId}.pdf`;
-  
-  return reportUrl;
+  await getStorage().put(artifactKey, content, { contentType: mimeType });
+
+  return { artifactKey, mimeType, size: content.length };
 }
 
 /**
- * Validates report generation parameters
+ * Number of generator threads: WORKER_THREADS, defaulting to the worker's
+ * concurrency. 0 runs generators on the worker's main thread.
+ */
+function getThreadCount() {
+  return parseInt(process.env.WORKER_THREADS || process.env.WORKER_CONCURRENCY || '1');
+}
+
+function getThreadPool() {
+  if (!threadPool) {
+    threadPool = new GeneratorThreadPool({
+      size: getThreadCount(),
+      runQuery,
+      maxJobsPerThread: parseInt(process.env.WORKER_THREAD_MAX_JOBS || '100'),
+      maxMemoryMb: parseInt(process.env.WORKER_THREAD_MAX_MEMORY_MB || '512'),
+      abortGraceMs: parseInt(process.env.WORKER_THREAD_ABORT_GRACE_MS || '1000')
+    });
+  }
+  return threadPool;
+}
+
+/**
+ * Generates, renders and stores a report. Generation and rendering run in a
+ * generator thread unless WORKER_THREADS is 0; threads load generators from
+ * the registry module, so only generators registered there can run in them.
+ * @param {string} reportId - Unique report identifier
+ * @param {string} reportType - Type of report to generate
+ * @param {object} parameters - Report parameters
+ * @param {string} format - Output format (csv, json, xlsx, pdf)
+ * @param {object} [options] - { signal } aborted when the report is cancelled
+ *   or times out, which the generator observes in its thread too; { onProgress }
+ *   receiving progress updates ({ percent?, stage?, message? })
+ * @returns {Promise<object>} { artifact: { artifactKey, mimeType, size }, rowCount }
+ * @throws {GeneratorCrashedError} When the generator thread dies
+ */
+async function buildReport(reportId, reportType, parameters, format, { signal, onProgress = () => {} } = {}) {
+  if (getThreadCount() === 0) {
+    const dataset = await generateReport(reportId, reportType, parameters, { signal, onProgress });
+    onProgress({ stage: 'rendering' });
+    const rendered = await formats.renderReport(dataset, format);
+    onProgress({ stage: 'storing' });
+    const artifact = await storeArtifact(reportId, rendered, { signal });
+    return { artifact, rowCount: dataset.rows.length };
+  }
+
+  // Unknown types fail here rather than in a thread
+  getGenerator(reportType);
+
+  console.log(`🔧 Generating ${reportType} report in a generator thread...`);
+  console.log(`   Report ID: ${reportId}`);
+  console.log(`   Parameters:`, JSON.stringify(parameters));
+
+  const rendered = await getThreadPool().run({
+    reportId,
+    reportType,
+    parameters: parameters || {},
+    format
+  }, { signal, onProgress });
+
+  onProgress({ stage: 'storing' });
+  const artifact = await storeArtifact(reportId, rendered, { signal });
+  return { artifact, rowCount: rendered.rowCount };
+}
+
+/**
+ * Terminates the generator threads (on worker shutdown)
+ */
+async function closeThreadPool() {
+  if (threadPool) {
+    const pool = threadPool;
+    threadPool = null;
+    await pool.close();
+  }
+}
+
+/**
+ * Validates report generation parameters against the report type's schema
  * @param {string} reportType - Type of report
  * @param {object} parameters - Report parameters
  * @returns {boolean} Validation result
@@ -43,18 +172,29 @@ function validateReportParameters(reportType, parameters) {
     return false;
   }
 
-  // Add specific validation logic based on report type
-  switch (reportType) {
-    case 'sales_summary':
-      return parameters.startDate && parameters.endDate;
-    case 'user_activity':
-      return parameters.userId || parameters.startDate;
-    default:
-      return true; // Accept other report types with any parameters
+  return validation.validateReportParameters(reportType, parameters).length === 0;
+}
+
+/**
+ * Re-checks parameters before the worker starts processing a report
+ * @param {string} reportType - Type of report
+ * @param {object} parameters - Report parameters
+ * @throws {UnknownReportTypeError} When the report type is not registered
+ * @throws {ReportValidationError} When the parameters do not match the schema
+ */
+function assertValidParameters(reportType, parameters) {
+  getGenerator(reportType);
+
+  const errors = validation.validateReportParameters(reportType, parameters);
+  if (errors.length > 0) {
+    throw new ReportValidationError(errors);
   }
 }
 
 module.exports = {
   generateReport,
-  validateReportParameters
+  buildReport,
+  closeThreadPool,
+  validateReportParameters,
+  assertValidParameters
 };
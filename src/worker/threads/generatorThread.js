@@ -0,0 +1,104 @@
+/**
+ * Generator Thread
+ * Entry point of the worker_threads the worker runs generators in. Each thread
+ * takes one job at a time: it generates the dataset with the registered
+ * generator and renders it, keeping CPU-bound work off the worker's event loop.
+ * Queries are sent to the parent, which owns the database pool; the rendered
+ * artifact is sent back for the parent to store. The parent asks for a
+ * cancelled or timed-out job to stop with an abort message, which aborts the
+ * generator's signal.
+ */
+const { parentPort } = require('worker_threads');
+const registry = require('../../reports/registry');
+const formats = require('../../reports/formats');
+const { serializeError, deserializeError } = require('./protocol');
+
+// Queries waiting for the parent's answer, keyed by query id
+const pendingQueries = new Map();
+let nextQueryId = 1;
+
+// Aborted when the parent cancels or times out the running job
+let controller = null;
+
+/**
+ * Runs a query through the parent thread and resolves with the rows
+ */
+function query(sql, values = []) {
+  if (controller) {
+    controller.signal.throwIfAborted();
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextQueryId++;
+    pendingQueries.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'query', id, sql, values });
+  });
+}
+
+/**
+ * Generates and renders one report
+ * @returns {Promise<object>} { content, mimeType, extension, rowCount }
+ */
+async function runJob({ reportId, reportType, parameters, format }) {
+  const generator = registry.getGenerator(reportType);
+  const { signal } = controller;
+
+  const dataset = await generator.generate(parameters, {
+    reportId,
+    query,
+    signal,
+    progress: update => parentPort.postMessage({ type: 'progress', update })
+  });
+  signal.throwIfAborted();
+
+  parentPort.postMessage({ type: 'progress', update: { stage: 'rendering' } });
+  const { content, mimeType, extension } = await formats.renderReport(dataset, format);
+  return { content, mimeType, extension, rowCount: dataset.rows.length };
+}
+
+parentPort.on('message', message => {
+  switch (message.type) {
+    case 'job':
+      controller = new AbortController();
+      runJob(message.job).then(
+        result => parentPort.postMessage({ type: 'result', ...result }),
+        error => parentPort.postMessage({ type: 'error', error: serializeError(error) })
+      ).finally(() => {
+        controller = null;
+      });
+      break;
+
+    case 'abort': {
+      // The job may have finished before the message arrived
+      if (!controller) {
+        break;
+      }
+      const reason = deserializeError(message.reason);
+      controller.abort(reason);
+      // Answers to the job's outstanding queries are no longer needed
+      for (const [id, pending] of pendingQueries) {
+        pendingQueries.delete(id);
+        pending.reject(reason);
+      }
+      break;
+    }
+
+    case 'queryResult':
+    case 'queryError': {
+      const pending = pendingQueries.get(message.id);
+      pendingQueries.delete(message.id);
+      if (!pending) {
+        break;
+      }
+      if (message.type === 'queryResult') {
+        pending.resolve(message.rows);
+      } else {
+        pending.reject(deserializeError(message.error));
+      }
+      break;
+    }
+
+    default:
+      console.error('⚠️ Generator thread received an unknown message:', message.type);
+  }
+});
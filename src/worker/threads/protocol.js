@@ -0,0 +1,50 @@
+/**
+ * Generator Thread Protocol
+ * Errors cross the thread boundary as plain objects (structured clone drops
+ * their class), so they are flattened here and rebuilt on the other side with
+ * the fields classifyError() relies on: code, retryable and driver flags.
+ */
+const { ReportError } = require('../../reports/errors');
+
+/**
+ * Flattens an error for postMessage()
+ * @param {Error} error - Error raised in either thread
+ * @returns {object} Cloneable description of the error
+ */
+function serializeError(error) {
+  const source = error instanceof Error ? error : new Error(String(error));
+  return {
+    name: source.name,
+    message: source.message,
+    code: source.code,
+    retryable: source.retryable,
+    fatal: source.fatal,
+    errors: source.errors,
+    reportError: source instanceof ReportError
+  };
+}
+
+/**
+ * Rebuilds an error received from the other thread
+ * @param {object} data - Output of serializeError()
+ * @returns {Error} A ReportError for report errors, a plain Error with the
+ *   original code for everything else
+ */
+function deserializeError(data) {
+  if (data.reportError) {
+    const error = new ReportError(data.message, { code: data.code, retryable: data.retryable });
+    error.name = data.name;
+    if (data.errors) {
+      error.errors = data.errors;
+    }
+    return error;
+  }
+
+  return Object.assign(new Error(data.message), {
+    name: data.name,
+    code: data.code,
+    fatal: data.fatal
+  });
+}
+
+module.exports = { serializeError, deserializeError };
@@ -0,0 +1,250 @@
+/**
+ * Generator Thread Pool
+ * Runs report generation and rendering in worker_threads so CPU-bound work
+ * cannot stall the worker's event loop (and with it RabbitMQ heartbeats and
+ * acks). An aborted job's thread is asked to stop through the generator's
+ * signal and terminated if it has not within a grace period. A thread that
+ * crashes or runs out of memory only fails its own job, with a retryable
+ * GeneratorCrashedError. Threads are recycled after a number of jobs to bound
+ * leaks in generator and renderer code.
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { GeneratorCrashedError } = require('../../reports/errors');
+const { serializeError, deserializeError } = require('./protocol');
+
+const THREAD_SCRIPT = path.join(__dirname, 'generatorThread.js');
+
+class GeneratorThreadPool {
+  /**
+   * @param {object} options
+   * @param {number} options.size - Maximum number of threads
+   * @param {Function} options.runQuery - runQuery(sql, values) answering the threads' queries
+   * @param {number} [options.maxJobsPerThread] - Jobs after which a thread is replaced (0: never)
+   * @param {number} [options.maxMemoryMb] - Heap limit of each thread (0: Node's default)
+   * @param {number} [options.abortGraceMs] - Time an aborted job's thread gets to stop before it is terminated
+   * @param {string} [options.script] - Thread entry point
+   */
+  constructor({ size, runQuery, maxJobsPerThread = 100, maxMemoryMb = 0, abortGraceMs = 1000, script = THREAD_SCRIPT }) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error(`Generator thread pool size must be a positive integer, got ${size}`);
+    }
+    this.size = size;
+    this.runQuery = runQuery;
+    this.maxJobsPerThread = maxJobsPerThread;
+    this.maxMemoryMb = maxMemoryMb;
+    this.abortGraceMs = abortGraceMs;
+    this.script = script;
+    this.threads = new Set();
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Generates and renders a report in a thread
+   * @param {object} job - { reportId, reportType, parameters, format }
+   * @param {object} [options] - { signal }; aborting it rejects with the
+   *   signal's reason and aborts the generator's signal in the thread, which
+   *   is terminated if it has not stopped within abortGraceMs. { onProgress } receives the
+   *   progress updates the thread reports
+   * @returns {Promise<object>} { content: Buffer, mimeType, extension, rowCount, threadId }
+   */
+  run(job, { signal, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        return reject(new Error('Generator thread pool is closed'));
+      }
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
+      }
+
+      const entry = { job, signal, onProgress, resolve, reject, onAbort: null, abortTimer: null, settled: false };
+      if (signal) {
+        entry.onAbort = () => this.abort(entry);
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this.waiting.push(entry);
+      this.next();
+    });
+  }
+
+  /**
+   * Terminates every thread; jobs still running or queued are rejected
+   */
+  async close() {
+    this.closed = true;
+    const error = new Error('Generator thread pool is closed');
+    this.waiting.splice(0).forEach(entry => this.settle(entry, error));
+
+    await Promise.all([...this.threads].map(thread => {
+      if (thread.entry) {
+        clearTimeout(thread.entry.abortTimer);
+        this.settle(thread.entry, error);
+      }
+      return this.retire(thread);
+    }));
+  }
+
+  next() {
+    while (this.waiting.length > 0) {
+      let thread = [...this.threads].find(candidate => !candidate.entry);
+      if (!thread) {
+        if (this.threads.size >= this.size) {
+          return;
+        }
+        thread = this.spawn();
+      }
+      this.dispatch(thread, this.waiting.shift());
+    }
+  }
+
+  spawn() {
+    const worker = new Worker(this.script, {
+      resourceLimits: this.maxMemoryMb > 0 ? { maxOldGenerationSizeMb: this.maxMemoryMb } : undefined
+    });
+    const thread = { worker, jobsRun: 0, entry: null, retired: false };
+
+    worker.on('message', message => this.handleMessage(thread, message));
+    worker.on('error', error => {
+      this.fail(thread, new GeneratorCrashedError(`Generator thread crashed: ${error.message}`, { cause: error }));
+    });
+    worker.on('exit', code => {
+      this.fail(thread, new GeneratorCrashedError(`Generator thread exited with code ${code}`));
+    });
+    // Idle threads must not keep the process alive on their own
+    worker.unref();
+
+    this.threads.add(thread);
+    return thread;
+  }
+
+  dispatch(thread, entry) {
+    thread.entry = entry;
+    thread.jobsRun++;
+    thread.worker.postMessage({ type: 'job', job: entry.job });
+  }
+
+  handleMessage(thread, message) {
+    switch (message.type) {
+      case 'query':
+        Promise.resolve()
+          .then(() => this.runQuery(message.sql, message.values))
+          .then(
+            rows => !thread.retired && thread.worker.postMessage({ type: 'queryResult', id: message.id, rows }),
+            error => !thread.retired && thread.worker.postMessage({
+              type: 'queryError', id: message.id, error: serializeError(error)
+            })
+          );
+        break;
+
+      case 'progress':
+        if (thread.entry && !thread.entry.settled && thread.entry.onProgress) {
+          thread.entry.onProgress(message.update);
+        }
+        break;
+
+      case 'result': {
+        const { content, mimeType, extension, rowCount } = message;
+        this.finish(thread, null, {
+          content: Buffer.from(content.buffer, content.byteOffset, content.byteLength),
+          mimeType,
+          extension,
+          rowCount,
+          threadId: thread.worker.threadId
+        });
+        break;
+      }
+
+      case 'error':
+        this.finish(thread, deserializeError(message.error));
+        break;
+    }
+  }
+
+  /**
+   * Settles the thread's job and frees (or recycles) the thread
+   */
+  finish(thread, error, result) {
+    const entry = thread.entry;
+    thread.entry = null;
+    if (entry) {
+      clearTimeout(entry.abortTimer);
+      this.settle(entry, error, result);
+    }
+
+    if (this.maxJobsPerThread > 0 && thread.jobsRun >= this.maxJobsPerThread) {
+      this.retire(thread);
+    }
+    this.next();
+  }
+
+  /**
+   * A thread died: its job fails with a retryable error and a fresh thread
+   * takes the next job
+   */
+  fail(thread, error) {
+    if (thread.retired) {
+      return;
+    }
+    if (thread.entry) {
+      console.error(`❌ ${error.message}`);
+    }
+    thread.retired = true;
+    this.threads.delete(thread);
+    this.finish(thread, error);
+  }
+
+  /**
+   * Cancellation or timeout: the job is rejected right away and the thread
+   * aborts the generator's signal. The thread keeps the job until it reports
+   * back, and is terminated if that takes longer than abortGraceMs, since a
+   * CPU-bound generator cannot observe the signal.
+   */
+  abort(entry) {
+    const index = this.waiting.indexOf(entry);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+      this.settle(entry, entry.signal.reason);
+      return;
+    }
+
+    const thread = [...this.threads].find(candidate => candidate.entry === entry);
+    if (thread) {
+      this.settle(entry, entry.signal.reason);
+      thread.worker.postMessage({ type: 'abort', reason: serializeError(entry.signal.reason) });
+      entry.abortTimer = setTimeout(() => {
+        if (thread.entry === entry) {
+          thread.entry = null;
+          this.retire(thread);
+          this.next();
+        }
+      }, this.abortGraceMs);
+    }
+  }
+
+  retire(thread) {
+    if (thread.retired) {
+      return Promise.resolve();
+    }
+    thread.retired = true;
+    this.threads.delete(thread);
+    return thread.worker.terminate();
+  }
+
+  settle(entry, error, result) {
+    if (entry.settled) {
+      return;
+    }
+    entry.settled = true;
+    if (entry.onAbort) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+}
+
+module.exports = { GeneratorThreadPool };
@@ -1,143 +1,281 @@
 require('dotenv').config();
-const amqp = require("amqplib");
+const os = require("os");
 const db = require("../config/db");
+const { runQuery } = require("../config/query");
+const { withTransaction } = require("../config/transaction");
+const { connectRabbitMQ, onChannel, closeRabbitMQ } = require("../config/rabbitmq");
+const { getTopology, reportQueueFor } = require("../config/topology");
+const reportService = require("./services/reportService");
+const { DEFAULT_FORMAT } = require("../reports/formats");
+const {
+  ReportCancelledError,
+  TimeoutError,
+  WorkerShutdownError,
+  classifyError
+} = require("../reports/errors");
+const retryPolicy = require("./retryPolicy");
+const { JobPool } = require("./jobPool");
+const { trackDelivery } = require("./delivery");
+const { startReaper } = require("./reaper");
+const { createProgressTracker } = require("./progress");
+const { enqueueReportJob, enqueueReportRetry, publishReportJob } = require("../outbox/reportJobs");
 
 // Configuration from environment variables
-const RABBITMQ_URL = `amqp://${process.env.RABBITMQ_USER}:${process.env.RABBITMQ_PASS}@${process.env.RABBITMQ_HOST}`;
-const REPORT_EXCHANGE = process.env.RABBITMQ_EXCHANGE || 'report_exchange';
-const REPORT_QUEUE = process.env.RABBITMQ_QUEUE || 'report_queue';
-const DLQ_EXCHANGE = process.env.RABBITMQ_DLQ_EXCHANGE || 'dlq_exchange';
-const DLQ_QUEUE = process.env.RABBITMQ_DLQ_QUEUE || 'report_dlq';
-const DLQ_ROUTING_KEY = process.env.RABBITMQ_DLQ_ROUTING_KEY || 'report_dlq_key';
-const REPORT_ROUTING_KEY = process.env.RABBITMQ_ROUTING_KEY || 'report_key';
-const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
+const {
+  reportTypes: REPORT_TYPES,
+  controlExchange: CONTROL_EXCHANGE,
+  maxRetries: MAX_RETRIES
+} = getTopology();
+// Reports this worker generates at the same time, across all its queues
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || '1');
 
-let channel;
+// Bounded pool every delivered job runs in
+const jobPool = new JobPool(WORKER_CONCURRENCY);
+
+// Reports this worker is currently generating, keyed by report_id
+const inFlight = new Map();
+
+// Reports this worker is handling, keyed by report_id: a promise resolved once
+// the delivery that claimed the report is settled
+const runningJobs = new Map();
+
+// Identifies this worker in report_events
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}:${process.pid}`;
+
+// Job consumers on the current channel, cancelled when shutting down
+let consumers = { channel: null, tags: [] };
+let shuttingDown = false;
+let stopReaper = () => {};
+// Set once the shutdown grace period is over
+let interrupting = false;
+
+// How long interrupted jobs get to reset and requeue their report
+const INTERRUPT_WAIT_MS = 5000;
 
 /**
- * Initialize RabbitMQ connection and declare all necessary exchanges and queues
+ * How long generating and rendering one report may take before it is aborted
+ * and retried (0 disables the timeout)
  */
-async function initializeRabbitMQ(retries = 10, delay = 3000) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const connection = await amqp.connect(RABBITMQ_URL);
-      channel = await connection.createChannel();
-
-      // Set prefetch to 1 to process one message at a time
-      await channel.prefetch(1);
-
-      // Declare exchanges
-      await channel.assertExchange(REPORT_EXCHANGE, 'direct', { durable: true });
-      await channel.assertExchange(DLQ_EXCHANGE, 'direct', { durable: true });
-
-      // Declare and bind DLQ
-      await channel.assertQueue(DLQ_QUEUE, { durable: true });
-      await channel.bindQueue(DLQ_QUEUE, DLQ_EXCHANGE, DLQ_ROUTING_KEY);
-
-      // Declare main queue with DLX configuration
-      await channel.assertQueue(REPORT_QUEUE, {
-        durable: true,
-        arguments: {
-          'x-dead-letter-exchange': DLQ_EXCHANGE,
-          'x-dead-letter-routing-key': DLQ_ROUTING_KEY
-        }
-      });
-      await channel.bindQueue(REPORT_QUEUE, REPORT_EXCHANGE, REPORT_ROUTING_KEY);
+function getJobTimeoutMs() {
+  return parseInt(process.env.WORKER_JOB_TIMEOUT_MS || '600000');
+}
 
-      console.log('✅ Worker connected to RabbitMQ');
-      console.log(`   - Listening on queue: ${REPORT_QUEUE}`);
-      console.log(`   - DLQ configured: ${DLQ_QUEUE}`);
-      console.log(`   - Max retries: ${MAX_RETRIES}`);
+/**
+ * Report types this worker serves: WORKER_REPORT_TYPES (comma-separated), or
+ * every registered type when unset. Lets heavy types run on their own
+ * worker deployment.
+ * @param {string} [value] - Comma-separated report types
+ * @returns {string[]} Report types
+ * @throws {Error} When a listed type has no generator
+ */
+function resolveWorkerTypes(value = process.env.WORKER_REPORT_TYPES) {
+  const types = (value || '').split(',').map(type => type.trim()).filter(Boolean);
+  if (types.length === 0) {
+    return REPORT_TYPES;
+  }
 
-      // Handle connection events
-      connection.on('error', (err) => {
-        console.error('❌ RabbitMQ connection error:', err);
-        process.exit(1);
-      });
+  const unknown = types.filter(type => !REPORT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`WORKER_REPORT_TYPES lists unknown report types: ${unknown.join(', ')}`);
+  }
+  return types;
+}
 
-      connection.on('close', () => {
-        console.log('⚠️ RabbitMQ connection closed. Reconnecting...');
-        setTimeout(() => initializeRabbitMQ(retries, delay), 5000);
-      });
+/**
+ * Starts consuming on a channel from the connection manager. Runs again with
+ * the new channel after every reconnection; messages are acked on the channel
+ * that delivered them.
+ */
+async function consumeOn(channel, reportTypes) {
+  if (shuttingDown) {
+    return;
+  }
 
-      return channel;
-    } catch (error) {
-      console.error(`❌ Failed to initialize RabbitMQ (attempt ${attempt}/${retries}):`, error.message);
-      
-      if (attempt < retries) {
-        console.log(`⏳ Retrying in ${delay/1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        console.error('❌ Max retries reached. Worker shutting down.');
-        throw error;
-      }
-    }
+  // Channel-wide limit shared by all consumers: the broker never hands this
+  // worker more unacked jobs than its pool runs at once
+  await channel.prefetch(WORKER_CONCURRENCY, true);
+
+  consumers = { channel, tags: [] };
+  for (const reportType of reportTypes) {
+    const { consumerTag } = await channel.consume(reportQueueFor(reportType), msg => handleDelivery(msg, channel), {
+      noAck: false // Manual acknowledgment
+    });
+    consumers.tags.push(consumerTag);
   }
+
+  // Private, auto-deleted queue receiving control broadcasts for this worker
+  const { queue: controlQueue } = await channel.assertQueue('', { exclusive: true, autoDelete: true });
+  await channel.bindQueue(controlQueue, CONTROL_EXCHANGE, '');
+  await channel.consume(controlQueue, processControlMessage, { noAck: true });
+
+  console.log(`🟢 Worker serving ${reportTypes.join(', ')} (concurrency: ${WORKER_CONCURRENCY}, max retries: ${MAX_RETRIES})`);
 }
 
 /**
- * Update report status in database with promisified query
+ * Runs a delivered job in the pool
+ * @param {object|null} msg - amqplib message (null when the broker cancels the consumer)
+ * @param {object} channel - Channel that delivered the message
+ * @param {JobPool} [pool] - Pool to run the job in
+ * @returns {Promise<void>}
  */
-function updateReportStatus(reportId, status, additionalFields = {}) {
-  return new Promise((resolve, reject) => {
-    const fields = { status, ...additionalFields };
-    const setClause = Object.keys(fields).map(key => `${key} = ?`).join(', ');
-    const values = [...Object.values(fields), reportId];
-    
-    const query = `UPDATE reports SET ${setClause} WHERE id = ?`;
-    
-    db.query(query, values, (err, result) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(result);
-      }
-    });
+function handleDelivery(msg, channel, pool = jobPool) {
+  if (!msg) {
+    console.error('⚠️ Consumer was cancelled by the broker');
+    return Promise.resolve();
+  }
+
+  return pool.run(() => {
+    // Delivered before the consumers were cancelled but not started yet
+    if (shuttingDown) {
+      trackDelivery(msg, channel).nack(true);
+      return;
+    }
+    return processMessage(msg, channel);
+  }).catch(error => {
+    console.error('❌ Unexpected error processing message:', error);
   });
 }
 
 /**
- * Get current report data from database
+ * Rejects with the signal's reason as soon as it is aborted, so a generator
+ * that ignores the signal cannot hold a pool slot past its timeout
  */
-function getReport(reportId) {
+function abortable(promise, signal) {
   return new Promise((resolve, reject) => {
-    db.query('SELECT * FROM reports WHERE id = ?', [reportId], (err, results) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(results[0]);
-      }
-    });
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
   });
 }
 
 /**
- * Simulate report generation with random delay and potential failure
+ * Update report status in database
+ * When onlyIfStatus is given, the row is only updated while it still has one
+ * of those statuses (check affectedRows), so a concurrent cancel is not overwritten.
+ * When onlyIfWorker is given, it is only updated while that worker holds the lease.
+ * Runs on the pool unless given a transaction's query.
  */
-async function generateReport(reportId, reportType, parameters) {
-  // Simulate CPU-intensive task with 5-10 second delay
-  const delay = Math.floor(Math.random() * 5000) + 5000;
-  console.log(`⏳ Processing report ${reportId} (estimated ${delay}ms)...`);
-  
-  await new Promise(resolve => setTimeout(resolve, delay));
-
-  // Simulate random failures (20% chance) for testing retry/DLQ
-  if (Math.random() < 0.2) {
-    throw new Error('Simulated transient processing error');
+function updateReportStatus(reportId, status, additionalFields = {}, onlyIfStatus = null, onlyIfWorker = null, query = runQuery) {
+  const fields = { status, ...additionalFields };
+  const setClause = Object.keys(fields).map(key => `${key} = ?`).join(', ');
+  const values = [...Object.values(fields), reportId];
+
+  let sql = `UPDATE reports SET ${setClause} WHERE id = ?`;
+  if (onlyIfStatus) {
+    sql += ' AND status IN (?)';
+    values.push(onlyIfStatus);
+  }
+  if (onlyIfWorker) {
+    sql += ' AND worker_id = ?';
+    values.push(onlyIfWorker);
   }
 
-  // Generate dummy report URL
-  const generatedUrl = `http://reports.example.com/${reportId}.pdf`;
-  
-  return generatedUrl;
+  return query(sql, values);
+}
+
+/**
+ * Lease duration: a report whose lease is not renewed within this time is
+ * considered abandoned and handed back by the reaper
+ */
+function getLeaseSeconds() {
+  return Math.ceil(parseInt(process.env.WORKER_LEASE_MS || '60000') / 1000);
+}
+
+/**
+ * Moves a report to 'processing' under this worker's lease. Succeeds for
+ * pending reports and for processing ones whose lease expired or is already
+ * this worker's (a redelivery after a crash); fails (affectedRows 0) when the
+ * report was cancelled or another worker's lease is still live. Each attempt
+ * starts its clock and progress afresh.
+ */
+function claimReport(reportId) {
+  return runQuery(`UPDATE reports
+    SET status = ?, next_attempt_at = NULL, worker_id = ?,
+        lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+        started_at = NOW(), progress_percent = 0, progress_stage = NULL,
+        progress_message = NULL, progress_updated_at = NULL
+    WHERE id = ?
+      AND (status = 'pending' OR (status = 'processing' AND (
+        worker_id IS NULL OR worker_id = ? OR lease_expires_at IS NULL OR lease_expires_at < NOW()
+      )))`, ['processing', WORKER_ID, getLeaseSeconds(), reportId, WORKER_ID]);
+}
+
+/**
+ * Renews the report's lease every third of its duration while it is generated
+ * @returns {Function} Stops the heartbeat
+ */
+function startHeartbeat(reportId) {
+  const leaseSeconds = getLeaseSeconds();
+  const heartbeat = setInterval(() => {
+    runQuery(`UPDATE reports SET lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE id = ? AND status = 'processing' AND worker_id = ?`, [leaseSeconds, reportId, WORKER_ID])
+      .then(result => {
+        if (result.affectedRows === 0) {
+          console.error(`⚠️ Report ${reportId} is no longer leased to this worker`);
+        }
+      })
+      .catch(error => {
+        console.error(`⚠️ Could not renew the lease of report ${reportId}:`, error.message);
+      });
+  }, leaseSeconds * 1000 / 3);
+  heartbeat.unref();
+
+  return () => clearInterval(heartbeat);
+}
+
+/**
+ * Saves a progress update of a report this worker holds the lease on
+ */
+function saveProgress(reportId, { percent, stage, message }) {
+  return runQuery(`UPDATE reports
+    SET progress_percent = ?, progress_stage = ?, progress_message = ?, progress_updated_at = NOW()
+    WHERE id = ? AND status = 'processing' AND worker_id = ?`,
+  [percent, stage, message, reportId, WORKER_ID]);
+}
+
+/**
+ * Appends a row to the report's audit trail, inside the caller's transaction
+ */
+function recordEvent(query, reportId, eventType, details) {
+  return query(`
+    INSERT INTO report_events (report_id, event_type, actor, details)
+    VALUES (?, ?, ?, ?)
+  `, [reportId, eventType, WORKER_ID, JSON.stringify(details)]);
+}
+
+/**
+ * Get current report data from database
+ */
+async function getReport(reportId) {
+  const results = await runQuery('SELECT * FROM reports WHERE id = ?', [reportId]);
+  return results[0];
 }
 
 /**
  * Process a single message from the queue
+ * Every path settles the delivery exactly once; should one return without
+ * settling, the message is requeued rather than left unacked.
  */
-async function processMessage(msg) {
+async function processMessage(msg, ch) {
   if (!msg) return;
 
+  const delivery = trackDelivery(msg, ch);
+  try {
+    await handleMessage(msg, ch, delivery);
+  } finally {
+    if (!delivery.settled) {
+      console.error('⚠️ Message was not settled by its handler, requeueing it');
+      delivery.nack(true);
+    }
+  }
+}
+
+/**
+ * Generates the report a message asks for and settles its delivery
+ */
+async function handleMessage(msg, ch, delivery) {
   const messageContent = msg.content.toString();
   let messageData;
 
@@ -145,125 +283,408 @@ async function processMessage(msg) {
     messageData = JSON.parse(messageContent);
   } catch (error) {
     console.error('❌ Invalid message format:', messageContent);
-    channel.ack(msg); // Acknowledge and discard malformed messages
+    delivery.ack(); // Acknowledge and discard malformed messages
     return;
   }
 
-  const { report_id, report_type, parameters } = messageData;
+  const { report_id, report_type, parameters, format = DEFAULT_FORMAT } = messageData;
 
   if (!report_id) {
     console.error('❌ Message missing report_id:', messageData);
-    channel.ack(msg); // Acknowledge and discard invalid messages
+    delivery.ack(); // Acknowledge and discard invalid messages
     return;
   }
 
   console.log(`📥 Received message for report: ${report_id}`);
 
+  // Status the report has while this worker owns it: pending until claimed,
+  // then processing under this worker's lease
+  let ownedStatus = ['pending'];
+  let ownedBy = null;
+  let priority = null;
+  let finishRun = null;
   try {
     // Get current report state
     const report = await getReport(report_id);
     
     if (!report) {
       console.error(`❌ Report ${report_id} not found in database`);
-      channel.ack(msg);
+      delivery.ack();
       return;
     }
 
-    const currentRetryCount = report.retry_count || 0;
+    if (report.status === 'cancelled') {
+      console.log(`🚫 Report ${report_id} was cancelled, skipping`);
+      delivery.ack();
+      return;
+    }
 
-    // Update status to 'processing'
-    await updateReportStatus(report_id, 'processing');
+    const currentRetryCount = report.retry_count || 0;
+    priority = report.priority;
+
+    // Re-check the parameters against the report type's schema
+    reportService.assertValidParameters(report_type, parameters);
+
+    // A redelivery of a report this worker is already handling may be the
+    // report's only message left (a retry the reaper published after this
+    // worker's lease lapsed, or a redelivery after a reconnection), so it is
+    // held until that run ends and then handled from the report's new state
+    const running = runningJobs.get(report_id);
+    if (running) {
+      console.log(`⏸️ Report ${report_id} is already being handled here, holding the duplicate until it ends`);
+      await running;
+      if (shuttingDown) {
+        delivery.nack(true);
+        return;
+      }
+      return handleMessage(msg, ch, delivery);
+    }
+    runningJobs.set(report_id, new Promise(resolve => {
+      finishRun = resolve;
+    }));
+
+    // Take the lease unless the report was cancelled meanwhile or another
+    // worker holds a live lease on it. That worker queues any retry or
+    // requeue through the outbox, so this copy is not needed to keep the
+    // report going
+    const started = await claimReport(report_id);
+    if (started.affectedRows === 0) {
+      console.log(`🚫 Report ${report_id} was cancelled or is leased by another worker, skipping`);
+      delivery.ack();
+      return;
+    }
+    ownedStatus = ['processing'];
+    ownedBy = WORKER_ID;
     console.log(`🔄 Processing report ${report_id} (attempt ${currentRetryCount + 1}/${MAX_RETRIES + 1})`);
 
-    // Generate the report
-    const generatedUrl = await generateReport(report_id, report_type, parameters);
-
-    // Success: Update to completed
-    await updateReportStatus(report_id, 'completed', {
-      generated_url: generatedUrl
+    // Generators observe this signal to abort cooperatively on cancellation
+    // or when the job runs past its timeout
+    const controller = new AbortController();
+    inFlight.set(report_id, controller);
+    const stopHeartbeat = startHeartbeat(report_id);
+    const progress = createProgressTracker(update => saveProgress(report_id, update), {
+      intervalMs: parseInt(process.env.PROGRESS_WRITE_INTERVAL_MS || '2000')
     });
+    if (interrupting) {
+      controller.abort(new WorkerShutdownError(report_id));
+    }
+
+    const jobTimeoutMs = getJobTimeoutMs();
+    const timer = jobTimeoutMs > 0
+      ? setTimeout(() => controller.abort(
+        new TimeoutError(`Report ${report_id} exceeded the job timeout of ${jobTimeoutMs}ms`)
+      ), jobTimeoutMs)
+      : null;
+
+    let artifact;
+    let rowCount;
+    try {
+      // Generate the report with the generator registered for its type and
+      // render it into the requested output format
+      ({ artifact, rowCount } = await abortable(reportService.buildReport(report_id, report_type, parameters, format, {
+        signal: controller.signal,
+        onProgress: progress.report
+      }), controller.signal));
+    } finally {
+      clearTimeout(timer);
+      progress.stop();
+      stopHeartbeat();
+      inFlight.delete(report_id);
+    }
+
+    // Success: Update to completed, unless the report was cancelled or the
+    // reaper handed it to another worker after this one's lease expired
+    const completed = await updateReportStatus(report_id, 'completed', {
+      mime_type: artifact.mimeType,
+      artifact_key: artifact.artifactKey,
+      artifact_size: artifact.size,
+      failure_reason: null,
+      error_code: null,
+      completed_at: new Date()
+    }, ['processing'], WORKER_ID);
+
+    if (completed.affectedRows === 0) {
+      console.log(`🚫 Report ${report_id} was cancelled or re-leased during generation, discarding result`);
+      delivery.ack();
+      return;
+    }
 
     console.log(`✅ Report ${report_id} completed successfully`);
-    console.log(`   Generated URL: ${generatedUrl}`);
+    console.log(`   Rows: ${rowCount}, ${format}: ${artifact.artifactKey} (${artifact.size} bytes)`);
 
     // Acknowledge message
-    channel.ack(msg);
+    delivery.ack();
 
-  } catch (error) {
-    console.error(`❌ Error processing report ${report_id}:`, error.message);
+  } catch (caught) {
+    if (caught instanceof WorkerShutdownError) {
+      await requeueInterrupted(report_id, { report_type, parameters, format }, priority, delivery);
+      return;
+    }
+
+    if (caught instanceof ReportCancelledError) {
+      // Cancelled reports are neither retried nor dead-lettered
+      console.log(`🚫 Report ${report_id} cancelled during processing`);
+      delivery.ack();
+      return;
+    }
+
+    // Map driver and network failures onto retryable/permanent report errors.
+    // The updates below only apply while the report still has ownedStatus and,
+    // once claimed, this worker's lease, so neither a cancel landing meanwhile
+    // nor the run of the worker the reaper handed the report to is overwritten
+    const error = classifyError(caught);
+    console.error(`❌ Error processing report ${report_id} [${error.code}]:`, error.message);
 
     try {
       const report = await getReport(report_id);
       const currentRetryCount = report.retry_count || 0;
 
-      if (currentRetryCount < MAX_RETRIES) {
-        // Retry: increment retry count and requeue
+      if (report.status === 'cancelled') {
+        console.log(`🚫 Report ${report_id} was cancelled, not retrying`);
+        delivery.ack();
+
+      } else if (!error.retryable) {
+        // Permanent failure: retrying cannot help, move straight to DLQ
+        const failed = await updateReportStatus(report_id, 'failed', {
+          failure_reason: error.message,
+          error_code: error.code
+        }, ownedStatus, ownedBy);
+
+        if (failed.affectedRows === 0) {
+          console.log(`🚫 Report ${report_id} was cancelled or re-leased meanwhile, not failing it`);
+          delivery.ack();
+          return;
+        }
+
+        console.log(`💀 Report ${report_id} failed permanently: ${error.message}`);
+
+        delivery.nack(false);
+
+      } else if (currentRetryCount < MAX_RETRIES) {
+        // Retry: increment retry count and queue a delayed job through the
+        // outbox in the same transaction, so the report is not left pending
+        // without a job should this delivery's channel have closed meanwhile
         const newRetryCount = currentRetryCount + 1;
-        await updateReportStatus(report_id, 'pending', {
-          retry_count: newRetryCount,
-          failure_reason: error.message
+        const delayMs = retryPolicy.computeRetryDelay(newRetryCount);
+        const reset = await withTransaction(async query => {
+          const result = await updateReportStatus(report_id, 'pending', {
+            retry_count: newRetryCount,
+            failure_reason: error.message,
+            error_code: error.code,
+            next_attempt_at: new Date(Date.now() + delayMs)
+          }, ownedStatus, ownedBy, query);
+          if (result.affectedRows > 0) {
+            await enqueueReportRetry(query, report_id, { report_type, parameters, format }, report.priority, newRetryCount, delayMs);
+          }
+          return result;
         });
 
-        console.log(`🔄 Retrying report ${report_id} (${newRetryCount}/${MAX_RETRIES})`);
-        
-        // NACK with requeue to retry
-        channel.nack(msg, false, true);
+        if (reset.affectedRows === 0) {
+          console.log(`🚫 Report ${report_id} was cancelled or re-leased meanwhile, not retrying`);
+          delivery.ack();
+          return;
+        }
+
+        console.log(`🔄 Retrying report ${report_id} in ${delayMs}ms (${newRetryCount}/${MAX_RETRIES})`);
+
+        // The outbox now owns the retry
+        delivery.ack();
+        await publishReportJob(report_id);
 
       } else {
         // Max retries exceeded: move to DLQ
-        await updateReportStatus(report_id, 'failed', {
-          failure_reason: `Failed after ${MAX_RETRIES} retries: ${error.message}`
-        });
+        const failed = await updateReportStatus(report_id, 'failed', {
+          failure_reason: `Failed after ${MAX_RETRIES} retries: ${error.message}`,
+          error_code: error.code
+        }, ownedStatus, ownedBy);
+
+        if (failed.affectedRows === 0) {
+          console.log(`🚫 Report ${report_id} was cancelled or re-leased meanwhile, not failing it`);
+          delivery.ack();
+          return;
+        }
 
         console.log(`💀 Report ${report_id} moved to DLQ after ${MAX_RETRIES} retries`);
         
         // NACK without requeue to send to DLQ
-        channel.nack(msg, false, false);
+        delivery.nack(false);
       }
     } catch (dbError) {
-      console.error(`❌ Database error during retry handling for ${report_id}:`, dbError);
+      console.error(`❌ Error during retry handling for ${report_id}:`, dbError);
       // Requeue the message to try again later
-      channel.nack(msg, false, true);
+      delivery.nack(true);
+    }
+  } finally {
+    if (finishRun) {
+      runningJobs.delete(report_id);
+      finishRun();
     }
   }
 }
 
 /**
- * Start consuming messages from the queue
+ * Puts a report interrupted by shutdown back to pending and queues a new job
+ * through the outbox in the same transaction, so another worker starts it
+ * again without using a retry. Left alone if the reaper already handed it to
+ * another worker. Only when the reset fails is the message nacked back to
+ * its queue.
+ * @param {string} reportId - Report identifier
+ * @param {object} job - { report_type, parameters, format }
+ * @param {number} priority - AMQP message priority of the job
+ * @param {object} delivery - Tracked delivery of the interrupted job
  */
-async function startWorker() {
+async function requeueInterrupted(reportId, job, priority, delivery) {
+  let reset;
+  try {
+    reset = await withTransaction(async query => {
+      const result = await updateReportStatus(reportId, 'pending', {
+        next_attempt_at: null
+      }, ['processing'], WORKER_ID, query);
+      if (result.affectedRows > 0) {
+        await recordEvent(query, reportId, 'worker_shutdown', { requeued: true });
+        await enqueueReportJob(query, reportId, job, priority);
+      }
+      return result;
+    });
+  } catch (error) {
+    console.error(`❌ Could not reset report ${reportId} on shutdown:`, error.message);
+    delivery.nack(true);
+    return;
+  }
+
+  console.log(`↩️ Report ${reportId} interrupted by shutdown, requeued`);
+  delivery.ack();
+  if (reset.affectedRows > 0) {
+    await publishReportJob(reportId);
+  }
+}
+
+/**
+ * Handle a broadcast control message
+ * A cancel aborts the matching report if this worker is generating it
+ */
+function processControlMessage(msg) {
+  if (!msg) return;
+
+  let command;
   try {
-    await initializeRabbitMQ();
+    command = JSON.parse(msg.content.toString());
+  } catch (error) {
+    console.error('❌ Invalid control message:', msg.content.toString());
+    return;
+  }
 
-    console.log('🟢 Worker is waiting for messages...');
+  if (command.type === 'cancel' && inFlight.has(command.report_id)) {
+    console.log(`🛑 Aborting report ${command.report_id} on cancel request`);
+    inFlight.get(command.report_id).abort(new ReportCancelledError(command.report_id));
+  }
+}
 
-    // Consume messages from the queue
-    channel.consume(REPORT_QUEUE, processMessage, {
-      noAck: false // Manual acknowledgment
+/**
+ * Stops consuming, gives in-flight jobs the grace period to finish, then
+ * interrupts the rest (requeued and reset to pending) and closes RabbitMQ,
+ * the generator threads and the MySQL pool
+ * @param {object} [options] - { graceMs } defaulting to WORKER_SHUTDOWN_GRACE_MS
+ * @returns {Promise<object>} { drained, interrupted } - whether every job
+ *   finished in time, and how many were interrupted
+ */
+async function shutdownWorker({ graceMs = parseInt(process.env.WORKER_SHUTDOWN_GRACE_MS || '25000') } = {}) {
+  shuttingDown = true;
+  stopReaper();
+
+  // Stop new deliveries; the control consumer stays so cancellations still arrive
+  const { channel, tags } = consumers;
+  for (const tag of tags) {
+    await channel.cancel(tag).catch(error => {
+      console.error('⚠️ Could not cancel consumer:', error.message);
     });
+  }
+
+  console.log(`⏳ Waiting up to ${graceMs}ms for ${inFlight.size} in-flight report(s)...`);
+  let timer;
+  const drained = await Promise.race([
+    jobPool.onIdle().then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), graceMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  const interrupted = inFlight.size;
+  if (!drained) {
+    interrupting = true;
+    console.log(`⚠️ Grace period over, interrupting ${interrupted} report(s)`);
+    for (const [reportId, controller] of inFlight) {
+      controller.abort(new WorkerShutdownError(reportId));
+    }
+    // Interrupted jobs only reset and requeue their report, which is quick
+    await Promise.race([
+      jobPool.onIdle(),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, INTERRUPT_WAIT_MS);
+      })
+    ]);
+    clearTimeout(timer);
+  }
+
+  await closeRabbitMQ();
+  await reportService.closeThreadPool();
+  await new Promise(resolve => db.end(error => {
+    if (error) {
+      console.error('⚠️ Error closing MySQL pool:', error.message);
+    }
+    resolve();
+  }));
+
+  return { drained, interrupted: drained ? 0 : interrupted };
+}
+
+/**
+ * Start consuming messages from the queue
+ */
+async function startWorker() {
+  try {
+    const reportTypes = resolveWorkerTypes();
+    onChannel(channel => consumeOn(channel, reportTypes));
+    await connectRabbitMQ();
+    stopReaper = startReaper({ actor: WORKER_ID });
 
+    console.log('🟢 Worker is waiting for messages...');
   } catch (error) {
     console.error('❌ Worker startup error:', error);
     process.exit(1);
   }
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n⚠️ Shutting down worker gracefully...');
-  if (channel) {
-    await channel.close();
-  }
-  process.exit(0);
-});
+if (require.main === module) {
+  // Graceful shutdown
+  let stopping = false;
+  const shutdown = async () => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
 
-process.on('SIGTERM', async () => {
-  console.log('\n⚠️ Shutting down worker gracefully...');
-  if (channel) {
-    await channel.close();
-  }
-  process.exit(0);
-});
+    console.log('\n⚠️ Shutting down worker gracefully...');
+    const { drained, interrupted } = await shutdownWorker();
+    console.log(drained
+      ? '👋 Worker stopped after finishing its reports'
+      : `👋 Worker stopped, ${interrupted} report(s) requeued`);
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  // Start the worker
+  startWorker();
+}
 
-// Start the worker
-startWorker();
+module.exports = {
+  processMessage,
+  handleDelivery,
+  processControlMessage,
+  resolveWorkerTypes,
+  startWorker,
+  shutdownWorker
+};
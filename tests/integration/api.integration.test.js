@@ -33,8 +33,10 @@ describe('API Integration Tests', () => {
 
   describe('POST /api/reports/generate', () => {
     test('should create a report and return 202', async () => {
+      // Bypass the reuse of identical reports from earlier runs
       const response = await request(API_BASE_URL)
         .post('/api/reports/generate')
+        .set('Cache-Control', 'no-cache')
         .send({
           report_type: 'sales_summary',
           parameters: {
@@ -61,6 +63,34 @@ describe('API Integration Tests', () => {
       }
     });
 
+    test('should reuse the report of an identical request', async () => {
+      // Only the client's own reports are reused, so a fresh client id keeps
+      // reports of earlier runs out of the way
+      const clientId = `integration-reuse-${Date.now()}`;
+      const body = {
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-04-01', endDate: '2023-06-30' }
+      };
+
+      const first = await request(API_BASE_URL)
+        .post('/api/reports/generate')
+        .set('X-Client-Id', clientId)
+        .send(body);
+      expect(first.status).toBe(202);
+      expect(first.body.reused).toBeUndefined();
+
+      const second = await request(API_BASE_URL)
+        .post('/api/reports/generate')
+        .set('X-Client-Id', clientId)
+        .send(body);
+
+      // 200 once the first report has completed, 202 while it is in flight
+      expect([200, 202]).toContain(second.status);
+      expect(second.body.report_id).toBe(first.body.report_id);
+      expect(second.body.reused).toBe(true);
+      expect(second.body.message).toMatch(/^Identical report already (available|in progress)\.$/);
+    });
+
     test('should reject request without report_type', async () => {
       const response = await request(API_BASE_URL)
         .post('/api/reports/generate')
@@ -72,15 +102,18 @@ describe('API Integration Tests', () => {
       expect(response.body.message).toContain('report_type');
     });
 
-    test('should handle parameters as optional', async () => {
+    test('should reject parameters that do not match the report schema', async () => {
       const response = await request(API_BASE_URL)
         .post('/api/reports/generate')
         .send({
-          report_type: 'user_activity'
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-01-01' }
         });
 
-      expect(response.status).toBe(202);
-      expect(response.body).toHaveProperty('report_id');
+      expect(response.status).toBe(422);
+      expect(response.body.errors).toEqual([
+        { field: 'parameters.endDate', message: 'is required' }
+      ]);
     });
   });
 
@@ -92,8 +125,8 @@ describe('API Integration Tests', () => {
       const response = await request(API_BASE_URL)
         .post('/api/reports/generate')
         .send({
-          report_type: 'test_report',
-          parameters: { test: true }
+          report_type: 'user_activity',
+          parameters: { userId: 'integration-test' }
         });
       testReportId = response.body.report_id;
     });
@@ -141,9 +174,10 @@ describe('API Integration Tests', () => {
 
   describe('Worker Processing (Async)', () => {
     test('should process report and update status to completed', async () => {
-      // Create a report
+      // Create a report, bypassing the reuse of identical reports from earlier runs
       const createResponse = await request(API_BASE_URL)
         .post('/api/reports/generate')
+        .set('Cache-Control', 'no-cache')
         .send({
           report_type: 'sales_summary',
           parameters: { startDate: '2023-01-01', endDate: '2023-12-31' }
@@ -164,12 +198,11 @@ describe('API Integration Tests', () => {
           .get(`/api/reports/${reportId}/status`);
 
         if (statusResponse.body.status === 'completed') {
-          expect(statusResponse.body.generated_url).toBeTruthy();
-          expect(statusResponse.body.generated_url).toContain(reportId);
+          expect(statusResponse.body.failure_reason).toBeNull();
           completed = true;
         } else if (statusResponse.body.status === 'failed') {
-          // Some reports may fail due to simulated errors, which is expected
-          console.log('Report failed (expected for testing):', statusResponse.body.failure_reason);
+          // Transient database errors can exhaust the retries
+          console.log('Report failed:', statusResponse.body.failure_reason);
           completed = true;
         }
 
@@ -5,19 +5,68 @@ const request = require('supertest');
 const express = require('express');
 const bodyParser = require('body-parser');
 
+process.env.DOWNLOAD_URL_SECRET = 'test-secret';
+
 // Mock dependencies
-jest.mock('../../src/config/db');
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
 jest.mock('../../src/config/rabbitmq');
+jest.mock('../../src/storage', () => ({ getStorage: jest.fn() }));
+jest.mock('../../src/api/services/backpressure');
+jest.mock('../../src/outbox/reportJobs', () => ({
+  ...jest.requireActual('../../src/outbox/reportJobs'),
+  dispatchReportJob: jest.fn()
+}));
+// Transactions run their statements through the mocked db.query
+jest.mock('../../src/config/transaction', () => ({
+  withTransaction: jest.fn((work) => {
+    const db = require('../../src/config/db');
+    return work((sql, values) => new Promise((resolve, reject) => {
+      db.query(sql, values, (err, results) => (err ? reject(err) : resolve(results)));
+    }));
+  })
+}));
 
 const reportsController = require('../../src/api/controllers/reportsController');
 const db = require('../../src/config/db');
-const { getChannel } = require('../../src/config/rabbitmq');
+const { getChannel, publishConfirmed } = require('../../src/config/rabbitmq');
+const { getStorage } = require('../../src/storage');
+const { ArtifactNotFoundError } = require('../../src/storage/errors');
+const { Readable } = require('stream');
+const signedUrls = require('../../src/api/utils/signedUrls');
+const idempotency = require('../../src/api/services/idempotencyService');
+const reportCache = require('../../src/api/services/reportCache');
+const { withTransaction } = require('../../src/config/transaction');
+const { checkCapacity } = require('../../src/api/services/backpressure');
+const { dispatchReportJob } = require('../../src/outbox/reportJobs');
 
 // Setup Express app for testing
 const app = express();
 app.use(bodyParser.json());
 app.post('/api/reports/generate', reportsController.generateReport);
+app.get('/api/reports', reportsController.listReports);
+app.get('/api/reports/types', reportsController.listReportTypes);
 app.get('/api/reports/:id/status', reportsController.getReportStatus);
+app.get('/api/reports/:id/download', reportsController.downloadReport);
+app.post('/api/reports/:id/cancel', reportsController.cancelReport);
+app.post('/api/reports/:id/retry', reportsController.retryReport);
+
+/**
+ * Publish options stored with each outbox row through the mocked db.query
+ */
+function outboxProperties() {
+  return db.query.mock.calls
+    .filter(([query]) => query.includes('INSERT INTO outbox'))
+    .map(([, values]) => JSON.parse(values[4]));
+}
+
+/**
+ * Job messages written to the outbox through the mocked db.query
+ */
+function outboxMessages() {
+  return db.query.mock.calls
+    .filter(([query]) => query.includes('INSERT INTO outbox'))
+    .map(([, values]) => ({ reportId: values[0], exchange: values[1], routingKey: values[2], payload: JSON.parse(values[3]) }));
+}
 
 describe('API Endpoints Unit Tests', () => {
   let mockChannel;
@@ -29,10 +78,17 @@ describe('API Endpoints Unit Tests', () => {
       sendToQueue: jest.fn()
     };
     getChannel.mockReturnValue(mockChannel);
+    publishConfirmed.mockResolvedValue();
+    checkCapacity.mockResolvedValue(null);
+    dispatchReportJob.mockResolvedValue(1);
     jest.clearAllMocks();
   });
 
   describe('POST /api/reports/generate', () => {
+    // Values of the INSERT INTO reports statement
+    const insertedValues = () =>
+      db.query.mock.calls.find(([query]) => query.includes('INSERT INTO reports'))[1];
+
     test('should return 202 with valid request', (done) => {
       db.query = jest.fn((query, values, callback) => {
         callback(null, { insertId: 1 });
@@ -53,7 +109,14 @@ describe('API Endpoints Unit Tests', () => {
           expect(res.body).toHaveProperty('report_id');
           expect(res.body.status).toBe('pending');
           expect(res.body.message).toBe('Report generation initiated.');
-          expect(mockChannel.publish).toHaveBeenCalled();
+          expect(res.body.queued).toBe(true);
+          expect(outboxMessages()).toEqual([{
+            reportId: res.body.report_id,
+            exchange: 'report_exchange',
+            routingKey: 'report.sales_summary',
+            payload: expect.objectContaining({ report_id: res.body.report_id, report_type: 'sales_summary' })
+          }]);
+          expect(dispatchReportJob).toHaveBeenCalledWith(res.body.report_id);
           done();
         });
     });
@@ -87,85 +150,170 @@ describe('API Endpoints Unit Tests', () => {
         });
     });
 
-    test('should return 500 on database error', (done) => {
+    test('should record the X-Client-Id header as owner', (done) => {
       db.query = jest.fn((query, values, callback) => {
-        callback(new Error('Database connection failed'), null);
+        callback(null, { insertId: 1 });
+      });
+
+      request(app)
+        .post('/api/reports/generate')
+        .set('X-Client-Id', 'finance-dashboard')
+        .send({ report_type: 'user_activity', parameters: { userId: 'user123' } })
+        .expect(202)
+        .end((err) => {
+          if (err) return done(err);
+          expect(insertedValues()[5]).toBe('finance-dashboard');
+          done();
+        });
+    });
+
+    test('should store and queue the requested format', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, { insertId: 1 });
       });
 
       request(app)
         .post('/api/reports/generate')
         .send({
           report_type: 'sales_summary',
-          parameters: {}
+          parameters: { startDate: '2023-01-01', endDate: '2023-03-31' },
+          format: 'csv'
         })
-        .expect(500)
+        .expect(202)
         .end((err, res) => {
           if (err) return done(err);
-          expect(res.body.message).toBe('Database error');
+          expect(res.body.format).toBe('csv');
+          expect(JSON.parse(insertedValues()[2]).format).toBe('csv');
+          expect(outboxMessages()[0].payload.format).toBe('csv');
           done();
         });
     });
-  });
-
-  describe('GET /api/reports/:id/status', () => {
-    test('should return 200 with valid report_id', (done) => {
-      const mockReport = {
-        id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
-        status: 'completed',
-        generated_url: 'http://reports.example.com/test.pdf',
-        failure_reason: null,
-        retry_count: 0
-      };
 
+    test('should default format to pdf', (done) => {
       db.query = jest.fn((query, values, callback) => {
-        callback(null, [mockReport]);
+        callback(null, { insertId: 1 });
       });
 
       request(app)
-        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
-        .expect(200)
+        .post('/api/reports/generate')
+        .send({ report_type: 'user_activity', parameters: { userId: 'user123' } })
+        .expect(202)
         .end((err, res) => {
           if (err) return done(err);
-          expect(res.body.report_id).toBe(mockReport.id);
-          expect(res.body.status).toBe('completed');
-          expect(res.body.generated_url).toBe(mockReport.generated_url);
+          expect(res.body.format).toBe('pdf');
           done();
         });
     });
 
-    test('should return 404 when report not found', (done) => {
+    test('should return 400 for an unsupported format', (done) => {
+      db.query = jest.fn();
+
+      request(app)
+        .post('/api/reports/generate')
+        .send({ report_type: 'sales_summary', format: 'docx' })
+        .expect(400)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toContain('format must be one of');
+          expect(db.query).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 422 listing every parameter error', (done) => {
+      db.query = jest.fn();
+
+      request(app)
+        .post('/api/reports/generate')
+        .send({
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-02-30', region: 'MARS', extra: true }
+        })
+        .expect(422)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Invalid report parameters');
+          expect(res.body.errors).toEqual(expect.arrayContaining([
+            { field: 'parameters.endDate', message: 'is required' },
+            { field: 'parameters.startDate', message: 'must be a valid date (YYYY-MM-DD)' },
+            { field: 'parameters.region', message: 'must be one of: NA, EMEA, APAC, LATAM' },
+            { field: 'parameters.extra', message: 'is not allowed' }
+          ]));
+          expect(res.body.errors).toHaveLength(4);
+          expect(db.query).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 422 for an inverted date range', (done) => {
+      request(app)
+        .post('/api/reports/generate')
+        .send({
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-03-31', endDate: '2023-01-01' }
+        })
+        .expect(422)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.errors).toEqual([
+            { field: 'parameters.endDate', message: 'must not be before startDate' }
+          ]);
+          done();
+        });
+    });
+
+    test('should return 422 for unknown report types', (done) => {
+      request(app)
+        .post('/api/reports/generate')
+        .send({ report_type: 'custom_report', parameters: {} })
+        .expect(422)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.errors[0].field).toBe('report_type');
+          done();
+        });
+    });
+
+    test('should store a per-request download_url_ttl', (done) => {
       db.query = jest.fn((query, values, callback) => {
-        callback(null, []);
+        callback(null, { insertId: 1 });
       });
 
       request(app)
-        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
-        .expect(404)
-        .end((err, res) => {
+        .post('/api/reports/generate')
+        .send({ report_type: 'user_activity', parameters: { userId: 'user123' }, download_url_ttl: 300 })
+        .expect(202)
+        .end((err) => {
           if (err) return done(err);
-          expect(res.body.message).toBe('Report not found');
+          expect(JSON.parse(insertedValues()[2]).download_url_ttl).toBe(300);
+          expect(insertedValues()[5]).toBeNull();
           done();
         });
     });
 
-    test('should return 400 with invalid UUID format', (done) => {
+    test('should return 400 for an invalid download_url_ttl', (done) => {
       request(app)
-        .get('/api/reports/invalid-uuid/status')
+        .post('/api/reports/generate')
+        .send({ report_type: 'user_activity', parameters: { userId: 'user123' }, download_url_ttl: -5 })
         .expect(400)
         .end((err, res) => {
           if (err) return done(err);
-          expect(res.body.message).toContain('Invalid report_id format');
+          expect(res.body.message).toContain('download_url_ttl');
           done();
         });
     });
 
     test('should return 500 on database error', (done) => {
       db.query = jest.fn((query, values, callback) => {
-        callback(new Error('Database query failed'), null);
+        callback(new Error('Database connection failed'), null);
       });
 
       request(app)
-        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .post('/api/reports/generate')
+        .send({
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-01-01', endDate: '2023-03-31' }
+        })
         .expect(500)
         .end((err, res) => {
           if (err) return done(err);
@@ -173,5 +321,1228 @@ describe('API Endpoints Unit Tests', () => {
           done();
         });
     });
+
+    describe('identical requests', () => {
+      const body = {
+        report_type: 'sales_summary',
+        parameters: { endDate: '2023-03-31', startDate: '2023-01-01' },
+        format: 'csv'
+      };
+
+      const mockReusable = (report) => {
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('WHERE request_hash = ?')) {
+            return callback(null, report ? [report] : []);
+          }
+          callback(null, { affectedRows: 1 });
+        });
+      };
+
+      test('should hash report_type, parameters and format regardless of key order', () => {
+        const a = reportCache.computeRequestHash({
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-01-01', endDate: '2023-03-31' },
+          format: 'csv',
+          download_url_ttl: 60
+        });
+        const b = reportCache.computeRequestHash(body);
+        const c = reportCache.computeRequestHash({ ...body, format: 'pdf' });
+
+        expect(a).toBe(b);
+        expect(a).not.toBe(c);
+      });
+
+      test('should return a fresh completed report without queueing a job', async () => {
+        mockReusable({ id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'completed' });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(200);
+
+        expect(res.body).toMatchObject({
+          report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          status: 'completed',
+          reused: true
+        });
+        const [lookup, lookupValues] = db.query.mock.calls[0];
+        expect(lookup).toContain('owner_id <=> ?');
+        expect(lookupValues).toEqual([reportCache.computeRequestHash(body), null, 5, 3600]);
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO reports'))).toBe(false);
+        expect(outboxMessages()).toHaveLength(0);
+      });
+
+      test('should link to an in-flight identical report', async () => {
+        mockReusable({ id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'processing' });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(202);
+
+        expect(res.body).toMatchObject({ status: 'processing', reused: true });
+        expect(outboxMessages()).toHaveLength(0);
+      });
+
+      test('should not reuse another owner\'s report', async () => {
+        // An identical report owned by another client
+        const existing = { id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'completed', owner_id: 'team-a' };
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('WHERE request_hash = ?')) {
+            return callback(null, values[1] === existing.owner_id ? [existing] : []);
+          }
+          callback(null, { affectedRows: 1 });
+        });
+
+        const reused = await request(app)
+          .post('/api/reports/generate')
+          .set('X-Client-Id', 'team-a')
+          .send(body)
+          .expect(200);
+        expect(reused.body.report_id).toBe(existing.id);
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('X-Client-Id', 'team-b')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.report_id).not.toBe(existing.id);
+        expect(res.body.reused).toBeUndefined();
+        expect(insertedValues()[5]).toBe('team-b');
+        expect(outboxMessages()).toHaveLength(1);
+      });
+
+      test('should only join in-flight reports queued at the requested priority or higher', async () => {
+        mockReusable(null);
+
+        await request(app)
+          .post('/api/reports/generate')
+          .send({ ...body, priority: 4 })
+          .expect(202);
+
+        const [lookup, lookupValues] = db.query.mock.calls[0];
+        expect(lookup).toContain("status IN ('pending', 'processing') AND priority >= ?");
+        expect(lookupValues[2]).toBe(4);
+      });
+
+      test('should store the request hash of a new report', async () => {
+        mockReusable(null);
+
+        await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(202);
+
+        expect(insertedValues()[6]).toBe(reportCache.computeRequestHash(body));
+        expect(outboxMessages()).toHaveLength(1);
+      });
+
+      test('should skip the lookup with Cache-Control: no-cache', async () => {
+        mockReusable({ id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'completed' });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Cache-Control', 'no-cache')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.reused).toBeUndefined();
+        expect(db.query.mock.calls.some(([query]) => query.includes('WHERE request_hash = ?'))).toBe(false);
+        expect(outboxMessages()).toHaveLength(1);
+      });
+    });
+
+    describe('priority', () => {
+      const body = {
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-03-31' }
+      };
+
+      beforeEach(() => {
+        db.query = jest.fn((query, values, callback) => callback(null, { affectedRows: 1 }));
+        process.env.REPORT_PRIORITY_CAPS = 'exec-dashboard=9, bulk-export=2';
+      });
+
+      afterEach(() => {
+        delete process.env.REPORT_PRIORITY_CAPS;
+      });
+
+      test('should store and publish the default priority', async () => {
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.priority).toBe(5);
+        expect(insertedValues()[7]).toBe(5);
+        expect(outboxProperties()).toEqual([{ priority: 5 }]);
+      });
+
+      test('should accept priorities up to the client cap', async () => {
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('X-Client-Id', 'exec-dashboard')
+          .send({ ...body, priority: 9 })
+          .expect(202);
+
+        expect(res.body.priority).toBe(9);
+        expect(outboxProperties()).toEqual([{ priority: 9 }]);
+      });
+
+      test('should lower priorities above the client cap', async () => {
+        const bulk = await request(app)
+          .post('/api/reports/generate')
+          .set('X-Client-Id', 'bulk-export')
+          .send({ ...body, priority: 8 })
+          .expect(202);
+        const anonymous = await request(app)
+          .post('/api/reports/generate')
+          .send({ ...body, priority: 10 })
+          .expect(202);
+
+        expect(bulk.body.priority).toBe(2);
+        expect(anonymous.body.priority).toBe(5);
+      });
+
+      test.each([11, -1, 2.5, 'high'])('should return 400 for priority %p', async (priority) => {
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send({ ...body, priority })
+          .expect(400);
+
+        expect(res.body.message).toBe('priority must be an integer between 0 and 10');
+      });
+    });
+
+    describe('broker backpressure', () => {
+      const body = {
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-03-31' }
+      };
+
+      test('should return 503 with Retry-After when the broker cannot take more work', async () => {
+        db.query = jest.fn((query, values, callback) => callback(null, []));
+        checkCapacity.mockResolvedValue({ reason: 'Message broker is under resource pressure', retryAfterSeconds: 7 });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(503);
+
+        expect(res.headers['retry-after']).toBe('7');
+        expect(res.body.reason).toBe('Message broker is under resource pressure');
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO reports'))).toBe(false);
+        expect(dispatchReportJob).not.toHaveBeenCalled();
+      });
+
+      test('should not claim the idempotency key when rejecting', async () => {
+        db.query = jest.fn((query, values, callback) => callback(null, []));
+        checkCapacity.mockResolvedValue({ reason: 'Message broker is unavailable', retryAfterSeconds: 5 });
+
+        await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-43')
+          .send(body)
+          .expect(503);
+
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO idempotency_keys'))).toBe(false);
+      });
+
+      test('should accept the stored report without Retry-After when the broker does not confirm its job', async () => {
+        db.query = jest.fn((query, values, callback) => callback(null, { affectedRows: 1 }));
+        dispatchReportJob.mockRejectedValueOnce(new Error('RabbitMQ did not confirm the message in time'));
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(202);
+
+        // The job stays in the outbox for the relay; resubmitting would duplicate the report
+        expect(res.headers['retry-after']).toBeUndefined();
+        expect(outboxMessages()).toHaveLength(1);
+        expect(res.body).toMatchObject({ status: 'pending', queued: false });
+        expect(res.body.report_id).toMatch(/^[0-9a-f-]{36}$/);
+      });
+
+      test('should not report the job as queued when the relay claimed it first', async () => {
+        db.query = jest.fn((query, values, callback) => callback(null, { affectedRows: 1 }));
+        dispatchReportJob.mockResolvedValueOnce(0);
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.queued).toBe(false);
+      });
+    });
+
+    describe('Idempotency-Key', () => {
+      const body = {
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-03-31' }
+      };
+      const requestHash = idempotency.hashRequest({ ...body, format: 'pdf' });
+
+      test('should claim the key for a new report', async () => {
+        db.query = jest.fn((query, values, callback) => callback(null, { affectedRows: 1 }));
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .set('X-Client-Id', 'billing')
+          .send(body)
+          .expect(202);
+
+        const claim = db.query.mock.calls.find(([query]) => query.includes('INSERT INTO idempotency_keys'));
+        expect(claim[1].slice(0, 5)).toEqual(['billing', 'order-42', res.body.report_id, requestHash, 202]);
+        const { queued, ...stored } = res.body;
+        expect(queued).toBe(true);
+        expect(JSON.parse(claim[1][5])).toEqual(stored);
+        expect(res.headers['idempotent-replayed']).toBeUndefined();
+        expect(outboxMessages()).toHaveLength(1);
+      });
+
+      test('should return the original response for a repeated key', async () => {
+        const original = {
+          report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          status: 'pending',
+          format: 'pdf',
+          priority: 5,
+          message: 'Report generation initiated.'
+        };
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            return callback(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+          }
+          if (query.includes('FROM idempotency_keys')) {
+            return callback(null, [{
+              report_id: original.report_id,
+              request_hash: requestHash,
+              response_status: 202,
+              response_body: original,
+              status: 'processing'
+            }]);
+          }
+          callback(null, { affectedRows: 0 });
+        });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(202);
+
+        expect(res.body).toEqual(original);
+        expect(res.headers['idempotent-replayed']).toBe('true');
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO reports'))).toBe(false);
+        expect(outboxMessages()).toHaveLength(0);
+      });
+
+      test('should replay 200 and the reuse body for a key that reused a completed report', async () => {
+        let claimed = null;
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('WHERE request_hash = ?')) {
+            return callback(null, [{ id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'completed' }]);
+          }
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            claimed = values;
+            return callback(null, { affectedRows: 1 });
+          }
+          if (query.includes('FROM idempotency_keys') && query.includes('SELECT')) {
+            return callback(null, claimed ? [{
+              report_id: claimed[2],
+              request_hash: claimed[3],
+              response_status: claimed[4],
+              response_body: claimed[5],
+              status: 'completed'
+            }] : []);
+          }
+          callback(null, { affectedRows: 0 });
+        });
+
+        const first = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-44')
+          .send(body)
+          .expect(200);
+        const replay = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-44')
+          .send(body)
+          .expect(200);
+
+        expect(replay.body).toEqual(first.body);
+        expect(replay.body).toMatchObject({ status: 'completed', reused: true });
+        expect(replay.headers['idempotent-replayed']).toBe('true');
+      });
+
+      test('should return 422 when a key is reused with a different request', async () => {
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            return callback(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+          }
+          if (query.includes('FROM idempotency_keys')) {
+            return callback(null, [{ report_id: 'other', request_hash: 'different', status: 'pending' }]);
+          }
+          callback(null, { affectedRows: 0 });
+        });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(422);
+
+        expect(res.body.message).toContain('different request');
+      });
+
+      test('should return 409 while the original request is still creating its report', async () => {
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            return callback(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+          }
+          if (query.includes('FROM idempotency_keys')) {
+            return callback(null, [{ report_id: 'new', request_hash: requestHash, status: null }]);
+          }
+          callback(null, { affectedRows: 0 });
+        });
+
+        await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(409);
+      });
+
+      test('should claim the key in the transaction that creates the report', async () => {
+        const transactionStatements = [];
+        withTransaction.mockImplementationOnce((work) => work((sql, values) => {
+          transactionStatements.push(sql);
+          if (sql.includes('INSERT INTO outbox')) {
+            return Promise.reject(new Error('Lock wait timeout exceeded'));
+          }
+          return Promise.resolve({ affectedRows: 1 });
+        }));
+        db.query = jest.fn((query, values, callback) => callback(null, []));
+
+        await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(500);
+
+        // The key rolls back with the report, so there is nothing to release
+        expect(transactionStatements.some(sql => sql.includes('INSERT INTO idempotency_keys'))).toBe(true);
+        expect(transactionStatements.some(sql => sql.includes('INSERT INTO reports'))).toBe(true);
+        // Freeing an expired key runs before the transaction, where its gap lock cannot deadlock
+        expect(transactionStatements.some(sql => sql.includes('DELETE'))).toBe(false);
+        const [deleteExpired] = db.query.mock.calls.find(([query]) => query.startsWith('DELETE FROM idempotency_keys'));
+        expect(deleteExpired).toContain('expires_at <= NOW()');
+      });
+
+      test('should treat a deadlock on the key as a lost claim', async () => {
+        let lookups = 0;
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            return callback(Object.assign(new Error('Deadlock found when trying to get lock'), {
+              code: 'ER_LOCK_DEADLOCK'
+            }));
+          }
+          if (query.includes('FROM idempotency_keys') && query.includes('SELECT')) {
+            lookups++;
+            return callback(null, lookups === 1 ? [] : [{
+              report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+              request_hash: requestHash,
+              response_status: 202,
+              response_body: { report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'pending' },
+              status: 'pending'
+            }]);
+          }
+          callback(null, { affectedRows: 1 });
+        });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.report_id).toBe('d290f1ee-6c54-4b01-90e6-d701748f0851');
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO reports'))).toBe(false);
+      });
+
+      test('should return the original report when a concurrent request commits the key first', async () => {
+        let lookups = 0;
+        db.query = jest.fn((query, values, callback) => {
+          if (query.includes('INSERT INTO idempotency_keys')) {
+            return callback(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+          }
+          if (query.includes('FROM idempotency_keys') && query.includes('SELECT')) {
+            // Not taken yet when checked, taken once the claim loses the race
+            lookups++;
+            return callback(null, lookups === 1 ? [] : [{
+              report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+              request_hash: requestHash,
+              response_status: 202,
+              response_body: { report_id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'pending' },
+              status: 'pending'
+            }]);
+          }
+          callback(null, { affectedRows: 1 });
+        });
+
+        const res = await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'order-42')
+          .send(body)
+          .expect(202);
+
+        expect(res.body.report_id).toBe('d290f1ee-6c54-4b01-90e6-d701748f0851');
+        expect(res.headers['idempotent-replayed']).toBe('true');
+        expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO reports'))).toBe(false);
+        expect(outboxMessages()).toHaveLength(0);
+      });
+
+      test('should return 400 for an invalid key', async () => {
+        await request(app)
+          .post('/api/reports/generate')
+          .set('Idempotency-Key', 'has spaces')
+          .send(body)
+          .expect(400);
+      });
+    });
+  });
+
+  describe('GET /api/reports', () => {
+    const rows = [
+      { id: 'c0000000-0000-4000-8000-000000000003', report_type: 'sales_summary', status: 'failed',
+        request_payload: { format: 'csv' }, owner_id: 'ops', created_at: new Date('2023-01-03T00:00:00Z') },
+      { id: 'c0000000-0000-4000-8000-000000000002', report_type: 'sales_summary', status: 'failed',
+        request_payload: { format: 'pdf' }, owner_id: 'ops', created_at: new Date('2023-01-02T00:00:00Z') },
+      { id: 'c0000000-0000-4000-8000-000000000001', report_type: 'sales_summary', status: 'failed',
+        request_payload: { format: 'pdf' }, owner_id: 'ops', created_at: new Date('2023-01-01T00:00:00Z') }
+    ];
+
+    test('should filter, sort and return a cursor when more rows exist', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, rows);
+      });
+
+      request(app)
+        .get('/api/reports')
+        .query({
+          status: 'failed',
+          report_type: 'sales_summary',
+          owner: 'ops',
+          created_after: '2023-01-01T00:00:00Z',
+          created_before: '2023-02-01T00:00:00Z',
+          limit: 2
+        })
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const [query, values] = db.query.mock.calls[0];
+          expect(query).toContain('status = ?');
+          expect(query).toContain('report_type = ?');
+          expect(query).toContain('owner_id = ?');
+          expect(query).toContain('created_at >= ?');
+          expect(query).toContain('created_at < ?');
+          expect(query).toContain('ORDER BY created_at DESC, id DESC');
+          expect(values[0]).toBe('failed');
+          expect(values[values.length - 1]).toBe(3);
+
+          expect(res.body.reports).toHaveLength(2);
+          expect(res.body.reports[0]).toMatchObject({
+            report_id: rows[0].id,
+            format: 'csv',
+            owner: 'ops'
+          });
+          expect(res.body.next_cursor).toEqual(expect.any(String));
+          done();
+        });
+    });
+
+    test('should continue after the cursor position', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, rows.slice(0, 2));
+      });
+
+      request(app)
+        .get('/api/reports?limit=2')
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.next_cursor).toBeNull();
+
+          db.query = jest.fn((query, values, callback) => {
+            callback(null, rows.slice(2));
+          });
+
+          request(app)
+            .get('/api/reports')
+            .query({ cursor: Buffer.from(JSON.stringify({
+              c: rows[1].created_at.toISOString(), i: rows[1].id, s: 'desc'
+            })).toString('base64url') })
+            .expect(200)
+            .end((err2, res2) => {
+              if (err2) return done(err2);
+              const [query, values] = db.query.mock.calls[0];
+              expect(query).toContain('(created_at < ? OR (created_at = ? AND id < ?))');
+              expect(values.slice(0, 3)).toEqual([rows[1].created_at, rows[1].created_at, rows[1].id]);
+              expect(res2.body.reports).toHaveLength(1);
+              done();
+            });
+        });
+    });
+
+    test('should return 400 for invalid filters', (done) => {
+      db.query = jest.fn();
+
+      request(app)
+        .get('/api/reports?status=unknown')
+        .expect(400)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toContain('status must be one of');
+          expect(db.query).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 400 for a malformed cursor', (done) => {
+      request(app)
+        .get('/api/reports?cursor=not-a-cursor')
+        .expect(400)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Invalid cursor');
+          done();
+        });
+    });
+
+    test('should return 400 when limit is out of range', (done) => {
+      request(app)
+        .get('/api/reports?limit=500')
+        .expect(400, done);
+    });
+  });
+
+  describe('GET /api/reports/types', () => {
+    test('should list every registered report type from its definition', (done) => {
+      request(app)
+        .get('/api/reports/types')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const types = res.body.types.map(type => type.report_type);
+          expect(types).toEqual(expect.arrayContaining(['sales_summary', 'user_activity']));
+
+          const sales = res.body.types.find(type => type.report_type === 'sales_summary');
+          expect(sales.description).toBeTruthy();
+          expect(sales.parameters.required).toEqual(['startDate', 'endDate']);
+          expect(sales.parameters.properties.region.enum).toContain('EMEA');
+          expect(sales.formats).toEqual(['csv', 'json', 'xlsx', 'pdf']);
+          expect(sales.default_format).toBe('pdf');
+          expect(sales.estimated_runtime_seconds).toBeGreaterThan(0);
+          done();
+        });
+    });
+  });
+
+  describe('GET /api/reports/:id/status', () => {
+    test('should return 200 with valid report_id', (done) => {
+      const mockReport = {
+        id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+        status: 'completed',
+        artifact_key: 'd290f1ee-6c54-4b01-90e6-d701748f0851.pdf',
+        failure_reason: null,
+        retry_count: 0,
+        priority: 7
+      };
+
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [mockReport]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.report_id).toBe(mockReport.id);
+          expect(res.body.status).toBe('completed');
+          expect(res.body.generated_url).toMatch(
+            /\/api\/reports\/d290f1ee-6c54-4b01-90e6-d701748f0851\/download\?expires=\d+&signature=[\w-]+$/
+          );
+          expect(res.body.generated_url_expires_at).toBeTruthy();
+          expect(res.body.format).toBe('pdf');
+          expect(res.body.priority).toBe(7);
+          done();
+        });
+    });
+
+    test('should return the scheduled next attempt of a report waiting for a retry', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          status: 'pending',
+          failure_reason: 'Lock wait timeout exceeded',
+          error_code: 'TRANSIENT_ERROR',
+          retry_count: 1,
+          next_attempt_at: new Date('2024-01-01T10:00:05Z')
+        }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.next_attempt_at).toBe('2024-01-01T10:00:05.000Z');
+          expect(res.body.error_code).toBe('TRANSIENT_ERROR');
+          expect(res.body.retry_count).toBe(1);
+          done();
+        });
+    });
+
+    test('should return the progress of a processing report with an ETA extrapolated from it', (done) => {
+      const startedAt = new Date(Date.now() - 30000);
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          report_type: 'sales_summary',
+          status: 'processing',
+          started_at: startedAt,
+          progress_percent: 25,
+          progress_stage: 'querying',
+          progress_message: 'EMEA',
+          progress_updated_at: new Date('2024-01-01T10:00:05Z')
+        }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.started_at).toBe(startedAt.toISOString());
+          expect(res.body.progress).toEqual({
+            percent: 25,
+            stage: 'querying',
+            message: 'EMEA',
+            updated_at: '2024-01-01T10:00:05.000Z'
+          });
+          // 30s for a quarter of the work: about 90s to go
+          const eta = new Date(res.body.estimated_completion_at).getTime();
+          expect(eta).toBeGreaterThanOrEqual(startedAt.getTime() + 120000);
+          expect(eta).toBeLessThan(startedAt.getTime() + 125000);
+          done();
+        });
+    });
+
+    test('should estimate completion from the report type before any progress', (done) => {
+      const startedAt = new Date(Date.now() - 5000);
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          report_type: 'sales_summary',
+          status: 'processing',
+          started_at: startedAt,
+          progress_percent: 0
+        }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.progress).toMatchObject({ percent: 0, stage: null });
+          // sales_summary runs for an estimated 15 seconds
+          expect(res.body.estimated_completion_at).toBe(new Date(startedAt.getTime() + 15000).toISOString());
+          done();
+        });
+    });
+
+    test('should not return progress or an ETA once a report has finished', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          report_type: 'sales_summary',
+          status: 'failed',
+          started_at: new Date('2024-01-01T10:00:00Z'),
+          progress_percent: 80
+        }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.started_at).toBe('2024-01-01T10:00:00.000Z');
+          expect(res.body.progress).toBeNull();
+          expect(res.body.estimated_completion_at).toBeNull();
+          done();
+        });
+    });
+
+    test('should return the format and mime type of the artifact', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          status: 'completed',
+          request_payload: { report_type: 'sales_summary', parameters: {}, format: 'xlsx' },
+          mime_type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          generated_url: null,
+          failure_reason: null,
+          retry_count: 0
+        }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.format).toBe('xlsx');
+          expect(res.body.mime_type).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+          done();
+        });
+    });
+
+    test('should sign download links with the per-request TTL', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: 'd290f1ee-6c54-4b01-90e6-d701748f0851',
+          status: 'completed',
+          request_payload: { report_type: 'sales_summary', format: 'csv', download_url_ttl: 60 },
+          artifact_key: 'd290f1ee-6c54-4b01-90e6-d701748f0851.csv'
+        }]);
+      });
+
+      const before = Date.now();
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          const url = new URL(res.body.generated_url);
+          const expires = Number(url.searchParams.get('expires'));
+          expect(expires).toBeGreaterThanOrEqual(Math.floor(before / 1000) + 60);
+          expect(expires).toBeLessThanOrEqual(Math.floor(Date.now() / 1000) + 60);
+          expect(signedUrls.verifyDownload(
+            'd290f1ee-6c54-4b01-90e6-d701748f0851',
+            url.searchParams.get('expires'),
+            url.searchParams.get('signature')
+          ).valid).toBe(true);
+          done();
+        });
+    });
+
+    test('should not return a download link before completion', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ id: 'd290f1ee-6c54-4b01-90e6-d701748f0851', status: 'processing' }]);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.generated_url).toBeNull();
+          expect(res.body.generated_url_expires_at).toBeNull();
+          done();
+        });
+    });
+
+    test('should return 404 when report not found', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, []);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(404)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Report not found');
+          done();
+        });
+    });
+
+    test('should return 400 with invalid UUID format', (done) => {
+      request(app)
+        .get('/api/reports/invalid-uuid/status')
+        .expect(400)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toContain('Invalid report_id format');
+          done();
+        });
+    });
+
+    test('should return 500 on database error', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(new Error('Database query failed'), null);
+      });
+
+      request(app)
+        .get('/api/reports/d290f1ee-6c54-4b01-90e6-d701748f0851/status')
+        .expect(500)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Database error');
+          done();
+        });
+    });
+  });
+
+  describe('GET /api/reports/:id/download', () => {
+    const reportId = 'd290f1ee-6c54-4b01-90e6-d701748f0851';
+
+    const signedPath = (id = reportId, ttl = 60) => {
+      const { expires, signature } = signedUrls.signDownload(id, ttl);
+      return `/api/reports/${id}/download?expires=${expires}&signature=${signature}`;
+    };
+
+    test('should stream a completed report with download headers', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          id: reportId,
+          report_type: 'sales_summary',
+          status: 'completed',
+          mime_type: 'text/csv',
+          artifact_key: `${reportId}.csv`,
+          artifact_size: 15
+        }]);
+      });
+      const storage = { getStream: jest.fn().mockResolvedValue(Readable.from(['region,revenue\n'])) };
+      getStorage.mockReturnValue(storage);
+
+      request(app)
+        .get(signedPath())
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(storage.getStream).toHaveBeenCalledWith(`${reportId}.csv`);
+          expect(res.headers['content-type']).toContain('text/csv');
+          expect(res.headers['content-disposition'])
+            .toBe(`attachment; filename="sales_summary-${reportId}.csv"`);
+          expect(res.text).toBe('region,revenue\n');
+          done();
+        });
+    });
+
+    test('should return 403 without a signature', (done) => {
+      db.query = jest.fn();
+
+      request(app)
+        .get(`/api/reports/${reportId}/download`)
+        .expect(403)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toContain('signature');
+          expect(db.query).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 403 for a tampered link', (done) => {
+      const otherId = 'a290f1ee-6c54-4b01-90e6-d701748f0851';
+      const tampered = signedPath(otherId).replace(otherId, reportId);
+
+      request(app)
+        .get(tampered)
+        .expect(403)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Invalid download signature');
+          done();
+        });
+    });
+
+    test('should return 403 for an expired link', (done) => {
+      const { expires, signature } = signedUrls.signDownload(reportId, 60, Date.now() - 120000);
+
+      request(app)
+        .get(`/api/reports/${reportId}/download?expires=${expires}&signature=${signature}`)
+        .expect(403)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Download link has expired');
+          done();
+        });
+    });
+
+    test('should return 409 while the report is not completed', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ id: reportId, status: 'processing' }]);
+      });
+
+      request(app)
+        .get(signedPath())
+        .expect(409)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.status).toBe('processing');
+          expect(getStorage).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 404 when the artifact is missing from storage', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ id: reportId, status: 'completed', artifact_key: `${reportId}.pdf` }]);
+      });
+      getStorage.mockReturnValue({
+        getStream: jest.fn().mockRejectedValue(new ArtifactNotFoundError(`${reportId}.pdf`))
+      });
+
+      request(app)
+        .get(signedPath())
+        .expect(404)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Report artifact not found');
+          done();
+        });
+    });
+
+    test('should return 404 when report not found', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, []);
+      });
+
+      request(app)
+        .get(signedPath())
+        .expect(404, done);
+    });
+  });
+
+  describe('POST /api/reports/:id/cancel', () => {
+    const reportId = 'd290f1ee-6c54-4b01-90e6-d701748f0851';
+
+    test('should cancel a processing report and broadcast to workers', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [{ id: reportId, status: 'processing' }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/cancel`)
+        .expect(200)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.status).toBe('cancelled');
+          const [update, values] = db.query.mock.calls[1];
+          expect(update).toContain("SET status = 'cancelled'");
+          expect(values).toEqual([reportId, ['pending', 'processing']]);
+
+          const [exchange, , content] = publishConfirmed.mock.calls[0];
+          expect(exchange).toBe('report_control_exchange');
+          expect(JSON.parse(content.toString())).toEqual({ type: 'cancel', report_id: reportId });
+          done();
+        });
+    });
+
+    test('should return 409 for a completed report', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ id: reportId, status: 'completed' }]);
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/cancel`)
+        .expect(409)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.status).toBe('completed');
+          expect(db.query).toHaveBeenCalledTimes(1);
+          expect(publishConfirmed).not.toHaveBeenCalled();
+          done();
+        });
+    });
+
+    test('should return 409 when the report finishes before the update', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [{ id: reportId, status: 'pending' }]);
+        }
+        callback(null, { affectedRows: 0 });
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/cancel`)
+        .expect(409, done);
+    });
+
+    test('should return 404 when report not found', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, []);
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/cancel`)
+        .expect(404, done);
+    });
+  });
+
+  describe('POST /api/reports/:id/retry', () => {
+    const reportId = 'd290f1ee-6c54-4b01-90e6-d701748f0851';
+    const failedReport = {
+      id: reportId,
+      report_type: 'sales_summary',
+      status: 'failed',
+      retry_count: 3,
+      failure_reason: 'Failed after 3 retries: connect ETIMEDOUT',
+      error_code: 'TIMEOUT',
+      priority: 8,
+      request_payload: {
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-03-31' },
+        format: 'csv'
+      }
+    };
+
+    test('should reset, audit and requeue a failed report', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [failedReport]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .set('X-Client-Id', 'oncall-alice')
+        .expect(202)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.status).toBe('pending');
+          expect(res.body.queued).toBe(true);
+
+          const [reset, resetValues] = db.query.mock.calls[1];
+          expect(reset).toContain("SET status = 'pending', retry_count = 0, failure_reason = NULL");
+          expect(resetValues).toEqual([reportId]);
+
+          const [audit, auditValues] = db.query.mock.calls[2];
+          expect(audit).toContain('INSERT INTO report_events');
+          expect(auditValues[1]).toBe('oncall-alice');
+          expect(JSON.parse(auditValues[2])).toEqual({
+            previous_failure_reason: failedReport.failure_reason,
+            previous_error_code: 'TIMEOUT',
+            previous_retry_count: 3
+          });
+
+          const [job] = outboxMessages();
+          expect(job.exchange).toBe('report_exchange');
+          expect(job.payload).toMatchObject({
+            report_id: reportId,
+            report_type: 'sales_summary',
+            parameters: failedReport.request_payload.parameters,
+            format: 'csv'
+          });
+          expect(outboxProperties()).toEqual([{ priority: 8 }]);
+          expect(withTransaction).toHaveBeenCalledTimes(1);
+          done();
+        });
+    });
+
+    test('should record an anonymous actor without X-Client-Id', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [failedReport]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      await request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(202);
+
+      const [, auditValues] = db.query.mock.calls.find(([query]) => query.includes('INSERT INTO report_events'));
+      expect(auditValues[1]).toBe('anonymous');
+    });
+
+    test('should return 503 with Retry-After and leave the report failed under backpressure', async () => {
+      db.query = jest.fn((query, values, callback) => callback(null, [failedReport]));
+      checkCapacity.mockResolvedValue({ reason: 'Message broker is unavailable', retryAfterSeconds: 5 });
+
+      const res = await request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(503);
+
+      expect(res.headers['retry-after']).toBe('5');
+      expect(withTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 for reports that are not failed', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ ...failedReport, status: 'completed' }]);
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(409)
+        .end((err) => {
+          if (err) return done(err);
+          expect(outboxMessages()).toHaveLength(0);
+          done();
+        });
+    });
+
+    test('should return 409 when another re-run reset the report first', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [failedReport]);
+        }
+        callback(null, { affectedRows: 0 });
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(409)
+        .end((err) => {
+          if (err) return done(err);
+          expect(outboxMessages()).toHaveLength(0);
+          done();
+        });
+    });
+
+    test('should return 500 and leave the report failed when the transaction fails', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT')) {
+          return callback(null, [failedReport]);
+        }
+        if (query.includes('INSERT INTO outbox')) {
+          return callback(new Error('Lock wait timeout exceeded'));
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(500)
+        .end((err, res) => {
+          if (err) return done(err);
+          expect(res.body.message).toBe('Database error');
+          // The reset is rolled back with the rest of the transaction
+          expect(withTransaction).toHaveBeenCalledTimes(1);
+          done();
+        });
+    });
+
+    test('should return 404 when report not found', (done) => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, []);
+      });
+
+      request(app)
+        .post(`/api/reports/${reportId}/retry`)
+        .expect(404, done);
+    });
   });
 });
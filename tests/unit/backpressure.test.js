@@ -0,0 +1,77 @@
+/**
+ * Unit tests for the API's broker backpressure checks
+ */
+jest.mock('../../src/config/rabbitmq');
+
+const { getChannel, getBrokerStatus } = require('../../src/config/rabbitmq');
+const { checkCapacity, resetQueueDepthCache } = require('../../src/api/services/backpressure');
+
+describe('checkCapacity', () => {
+  let channel;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetQueueDepthCache();
+    delete process.env.MAX_QUEUE_DEPTH;
+    delete process.env.BACKPRESSURE_RETRY_AFTER_SECONDS;
+    channel = { checkQueue: jest.fn().mockResolvedValue({ messageCount: 0 }) };
+    getChannel.mockReturnValue(channel);
+    getBrokerStatus.mockReturnValue({ connected: true, blocked: false, draining: false });
+  });
+
+  test('should accept work when the broker is healthy', async () => {
+    await expect(checkCapacity('sales_summary')).resolves.toBeNull();
+    expect(channel.checkQueue).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [{ connected: false, blocked: false, draining: false }, 'unavailable'],
+    [{ connected: true, blocked: true, draining: false }, 'resource pressure'],
+    [{ connected: true, blocked: false, draining: true }, 'not keeping up']
+  ])('should reject work when the broker is %o', async (status, reason) => {
+    getBrokerStatus.mockReturnValue(status);
+    process.env.BACKPRESSURE_RETRY_AFTER_SECONDS = '12';
+
+    const overload = await checkCapacity('sales_summary');
+
+    expect(overload.reason).toContain(reason);
+    expect(overload.retryAfterSeconds).toBe(12);
+  });
+
+  test('should reject work once the report queue reaches MAX_QUEUE_DEPTH', async () => {
+    process.env.MAX_QUEUE_DEPTH = '100';
+    channel.checkQueue.mockResolvedValue({ messageCount: 100 });
+
+    const overload = await checkCapacity('sales_summary');
+
+    expect(channel.checkQueue).toHaveBeenCalledWith('report_queue.sales_summary');
+    expect(overload).toEqual({ reason: 'Report queue for sales_summary is full (100 jobs waiting)', retryAfterSeconds: 5 });
+  });
+
+  test('should not hold back other report types', async () => {
+    process.env.MAX_QUEUE_DEPTH = '100';
+    channel.checkQueue.mockImplementation(async queue => ({
+      messageCount: queue === 'report_queue.sales_summary' ? 500 : 0
+    }));
+
+    await expect(checkCapacity('sales_summary')).resolves.not.toBeNull();
+    await expect(checkCapacity('user_activity')).resolves.toBeNull();
+  });
+
+  test('should cache the queue depth between checks', async () => {
+    process.env.MAX_QUEUE_DEPTH = '100';
+    channel.checkQueue.mockResolvedValue({ messageCount: 3 });
+
+    await checkCapacity('sales_summary');
+    await checkCapacity('sales_summary');
+
+    expect(channel.checkQueue).toHaveBeenCalledTimes(1);
+  });
+
+  test('should accept work when the queue depth cannot be read', async () => {
+    process.env.MAX_QUEUE_DEPTH = '100';
+    channel.checkQueue.mockRejectedValue(new Error('channel closed'));
+
+    await expect(checkCapacity('sales_summary')).resolves.toBeNull();
+  });
+});
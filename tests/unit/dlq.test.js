@@ -0,0 +1,334 @@
+/**
+ * Unit tests for the dead-letter queue service and admin API
+ */
+const request = require('supertest');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/config/rabbitmq');
+jest.mock('../../src/outbox/reportJobs', () => ({
+  ...jest.requireActual('../../src/outbox/reportJobs'),
+  publishReportJob: jest.fn()
+}));
+// Transactions run their statements through the mocked db.query
+jest.mock('../../src/config/transaction', () => ({
+  withTransaction: jest.fn((work) => {
+    const db = require('../../src/config/db');
+    return work((sql, values) => new Promise((resolve, reject) => {
+      db.query(sql, values, (err, results) => (err ? reject(err) : resolve(results)));
+    }));
+  })
+}));
+
+const db = require('../../src/config/db');
+const { openChannel } = require('../../src/config/rabbitmq');
+const { publishReportJob } = require('../../src/outbox/reportJobs');
+const dlqService = require('../../src/api/services/dlqService');
+const adminRoutes = require('../../src/api/routes/admin');
+
+const app = express();
+app.use(bodyParser.json());
+app.use('/api/admin', adminRoutes);
+
+/**
+ * Builds a dead-lettered message as amqplib's channel.get() returns it
+ */
+function deadLetter(reportId, reportType = 'sales_summary') {
+  return {
+    content: Buffer.from(JSON.stringify({
+      report_id: reportId,
+      report_type: reportType,
+      parameters: { startDate: '2024-01-01', endDate: '2024-01-31' }
+    })),
+    properties: {
+      contentType: 'application/json',
+      headers: {
+        'x-death': [{
+          count: 1,
+          reason: 'rejected',
+          queue: `report_queue.${reportType}`,
+          exchange: 'report_exchange',
+          'routing-keys': [`report.${reportType}`]
+        }]
+      }
+    }
+  };
+}
+
+/**
+ * Channel double that serves the given messages from channel.get(), each from
+ * its report type's DLQ
+ */
+function mockChannelWith(messages) {
+  const queues = new Map();
+  for (const msg of messages) {
+    const queue = `report_dlq.${JSON.parse(msg.content.toString()).report_type}`;
+    queues.set(queue, [...(queues.get(queue) || []), msg]);
+  }
+  return {
+    checkQueue: jest.fn(async queue => ({ messageCount: (queues.get(queue) || []).length })),
+    get: jest.fn(async queue => (queues.get(queue) || []).shift() || false),
+    ack: jest.fn(),
+    nack: jest.fn(),
+    publish: jest.fn(),
+    waitForConfirms: jest.fn().mockResolvedValue(),
+    purgeQueue: jest.fn(async queue => ({ messageCount: (queues.get(queue) || []).length })),
+    close: jest.fn().mockResolvedValue()
+  };
+}
+
+describe('DLQ service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publishReportJob.mockResolvedValue();
+  });
+
+  test('should list messages with x-death headers and report rows, leaving them queued', async () => {
+    const messages = [deadLetter('report-1'), deadLetter('report-2')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, [{ id: 'report-1', status: 'failed', retry_count: 3 }]);
+    });
+
+    const result = await dlqService.listDeadLetters({ limit: 10 });
+
+    expect(result.message_count).toBe(2);
+    expect(result.messages).toHaveLength(2);
+    expect(result.messages[0]).toMatchObject({
+      report_id: 'report-1',
+      original_routing_key: 'report.sales_summary',
+      report: { id: 'report-1', status: 'failed' }
+    });
+    expect(result.messages[0].x_death[0].reason).toBe('rejected');
+    expect(result.messages[1].report).toBeNull();
+    expect(channel.nack).toHaveBeenCalledTimes(2);
+    expect(channel.nack).toHaveBeenCalledWith(messages[0], false, true);
+    expect(channel.ack).not.toHaveBeenCalled();
+    expect(channel.close).toHaveBeenCalled();
+  });
+
+  test('should replay selected failed reports with a fresh retry budget', async () => {
+    const messages = [deadLetter('report-1'), deadLetter('report-2')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, { affectedRows: 1 });
+    });
+
+    const result = await dlqService.replayDeadLetters({ reportIds: ['report-1'], actor: 'ops' });
+
+    expect(result).toEqual({ replayed: ['report-1'], skipped: [] });
+
+    const [resetSql, resetValues] = db.query.mock.calls[0];
+    expect(resetSql).toContain("status = 'pending', retry_count = 0");
+    expect(resetSql).toContain("status = 'failed'");
+    expect(resetValues).toEqual(['report-1']);
+    expect(db.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['report-1', 'ops']));
+
+    // The new job is written to the outbox with the reset and published from there
+    const [outboxSql, outboxValues] = db.query.mock.calls[2];
+    expect(outboxSql).toContain('INSERT INTO outbox');
+    expect(outboxValues.slice(0, 3)).toEqual(['report-1', 'report_exchange', 'report.sales_summary']);
+    expect(JSON.parse(outboxValues[3])).toMatchObject({ report_id: 'report-1', report_type: 'sales_summary' });
+    expect(publishReportJob).toHaveBeenCalledWith('report-1');
+    expect(channel.publish).not.toHaveBeenCalled();
+    expect(channel.ack).toHaveBeenCalledWith(messages[0]);
+  });
+
+  test('should stop reading the DLQs once every selected report is found', async () => {
+    const messages = [deadLetter('report-1'), deadLetter('report-2'), deadLetter('report-3', 'user_activity')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, { affectedRows: 1 });
+    });
+
+    const result = await dlqService.replayDeadLetters({ reportIds: ['report-1'] });
+
+    expect(result.replayed).toEqual(['report-1']);
+    expect(channel.get).toHaveBeenCalledTimes(1);
+    expect(channel.checkQueue).toHaveBeenCalledTimes(1);
+    expect(channel.nack).not.toHaveBeenCalled();
+  });
+
+  test('should take at most MAX_REPLAY_BATCH messages off the DLQs per replay', async () => {
+    const messages = Array.from({ length: dlqService.MAX_REPLAY_BATCH + 1 }, (_, i) => deadLetter(`report-${i}`));
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, { affectedRows: 1 });
+    });
+
+    const result = await dlqService.replayDeadLetters({ all: true });
+
+    expect(result.replayed).toHaveLength(dlqService.MAX_REPLAY_BATCH);
+    expect(channel.get).toHaveBeenCalledTimes(dlqService.MAX_REPLAY_BATCH);
+    expect(channel.ack).not.toHaveBeenCalledWith(messages[dlqService.MAX_REPLAY_BATCH]);
+  });
+
+  test('should keep messages whose report is no longer failed', async () => {
+    const messages = [deadLetter('report-1')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, { affectedRows: 0 });
+    });
+
+    const result = await dlqService.replayDeadLetters({ all: true });
+
+    expect(result.replayed).toEqual([]);
+    expect(result.skipped).toEqual([{ report_id: 'report-1', reason: 'Report is not failed' }]);
+    expect(channel.publish).not.toHaveBeenCalled();
+    expect(channel.nack).toHaveBeenCalledWith(messages[0], false, true);
+  });
+
+  test('should keep the message in the DLQ when the reset does not commit', async () => {
+    const messages = [deadLetter('report-1')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      if (sql.includes('INSERT INTO outbox')) {
+        return callback(new Error('Lock wait timeout exceeded'));
+      }
+      callback(null, { affectedRows: 1 });
+    });
+
+    await expect(dlqService.replayDeadLetters({ all: true })).rejects.toThrow('Lock wait timeout exceeded');
+
+    expect(publishReportJob).not.toHaveBeenCalled();
+    expect(channel.ack).not.toHaveBeenCalled();
+    expect(channel.nack).toHaveBeenCalledWith(messages[0], false, true);
+  });
+
+  test('should purge only the selected messages', async () => {
+    const messages = [deadLetter('report-1'), deadLetter('report-2')];
+    const channel = mockChannelWith(messages);
+    openChannel.mockResolvedValue(channel);
+
+    const result = await dlqService.purgeDeadLetters({ reportIds: ['report-2'] });
+
+    expect(result).toEqual({ purged: 1 });
+    expect(channel.ack).toHaveBeenCalledWith(messages[1]);
+    expect(channel.nack).toHaveBeenCalledWith(messages[0], false, true);
+    expect(channel.purgeQueue).not.toHaveBeenCalled();
+  });
+
+  test('should purge the whole queue with all: true', async () => {
+    const channel = mockChannelWith([deadLetter('report-1')]);
+    openChannel.mockResolvedValue(channel);
+
+    const result = await dlqService.purgeDeadLetters({ all: true });
+
+    expect(result).toEqual({ purged: 1 });
+    expect(channel.purgeQueue).toHaveBeenCalledWith('report_dlq.sales_summary');
+    expect(channel.purgeQueue).toHaveBeenCalledWith('report_dlq.user_activity');
+  });
+
+  test('should purge only one report type\'s DLQ when given a reportType', async () => {
+    const channel = mockChannelWith([deadLetter('report-1', 'user_activity')]);
+    openChannel.mockResolvedValue(channel);
+
+    const result = await dlqService.purgeDeadLetters({ all: true, reportType: 'user_activity' });
+
+    expect(result).toEqual({ purged: 1 });
+    expect(channel.purgeQueue).toHaveBeenCalledTimes(1);
+    expect(channel.purgeQueue).toHaveBeenCalledWith('report_dlq.user_activity');
+  });
+});
+
+describe('Admin API', () => {
+  const ORIGINAL_TOKEN = process.env.ADMIN_API_TOKEN;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    publishReportJob.mockResolvedValue();
+    process.env.ADMIN_API_TOKEN = 'admin-secret';
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_API_TOKEN = ORIGINAL_TOKEN;
+  });
+
+  test('should be disabled when ADMIN_API_TOKEN is not set', async () => {
+    delete process.env.ADMIN_API_TOKEN;
+
+    const res = await request(app).get('/api/admin/dlq');
+
+    expect(res.status).toBe(403);
+    expect(openChannel).not.toHaveBeenCalled();
+  });
+
+  test('should reject requests without the admin token', async () => {
+    const res = await request(app)
+      .get('/api/admin/dlq')
+      .set('Authorization', 'Bearer wrong');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('should list dead letters on GET /api/admin/dlq', async () => {
+    openChannel.mockResolvedValue(mockChannelWith([]));
+
+    const res = await request(app)
+      .get('/api/admin/dlq')
+      .set('Authorization', 'Bearer admin-secret');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      queues: [
+        { queue: 'report_dlq.sales_summary', report_type: 'sales_summary', message_count: 0 },
+        { queue: 'report_dlq.user_activity', report_type: 'user_activity', message_count: 0 }
+      ],
+      message_count: 0,
+      messages: []
+    });
+  });
+
+  test('should reject an invalid limit on GET /api/admin/dlq', async () => {
+    const res = await request(app)
+      .get('/api/admin/dlq?limit=0')
+      .set('Authorization', 'Bearer admin-secret');
+
+    expect(res.status).toBe(400);
+  });
+
+  test('should reject an unknown report_type on GET /api/admin/dlq', async () => {
+    const res = await request(app)
+      .get('/api/admin/dlq?report_type=inventory')
+      .set('Authorization', 'Bearer admin-secret');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('report_type must be one of: sales_summary, user_activity');
+    expect(openChannel).not.toHaveBeenCalled();
+  });
+
+  test('should require a selection on POST /api/admin/dlq/purge', async () => {
+    const res = await request(app)
+      .post('/api/admin/dlq/purge')
+      .set('Authorization', 'Bearer admin-secret')
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(openChannel).not.toHaveBeenCalled();
+  });
+
+  test('should record the client as actor on POST /api/admin/dlq/replay', async () => {
+    const channel = mockChannelWith([deadLetter('report-1')]);
+    openChannel.mockResolvedValue(channel);
+    db.query.mockImplementation((sql, values, callback) => {
+      callback(null, { affectedRows: 1 });
+    });
+
+    const res = await request(app)
+      .post('/api/admin/dlq/replay')
+      .set('Authorization', 'Bearer admin-secret')
+      .set('X-Client-Id', 'oncall')
+      .send({ report_ids: ['report-1'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.replayed).toEqual(['report-1']);
+    expect(db.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['oncall']));
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * amqplib messages the worker tests deliver
+ */
+
+/**
+ * Wraps a message body the way amqplib delivers it, routed by its report type
+ * @param {object} payload - Message body
+ * @param {number} [deliveryTag] - Delivery tag on the channel
+ * @returns {object} amqplib message
+ */
+function buildMessage(payload, deliveryTag = 1) {
+  return {
+    content: Buffer.from(JSON.stringify(payload)),
+    fields: { deliveryTag, routingKey: payload.report_type ? `report.${payload.report_type}` : '' },
+    properties: { contentType: 'application/json', headers: {} }
+  };
+}
+
+/**
+ * Job of the held_export generator, which runs until the test releases it
+ * @param {string} reportId - Report identifier
+ * @param {number} [deliveryTag] - Delivery tag on the channel
+ * @returns {object} amqplib message
+ */
+function buildHeldJob(reportId, deliveryTag) {
+  return buildMessage({ report_id: reportId, report_type: 'held_export', parameters: {} }, deliveryTag);
+}
+
+module.exports = { buildMessage, buildHeldJob };
@@ -0,0 +1,34 @@
+/**
+ * Generator thread stand-in for the thread pool tests: the report id picks
+ * the behaviour
+ */
+const { parentPort, threadId } = require('worker_threads');
+
+parentPort.on('message', ({ type, job }) => {
+  if (type !== 'job') {
+    return;
+  }
+
+  switch (job.reportId) {
+    case 'crash':
+      throw new Error('renderer blew up');
+    case 'exit':
+      process.exit(3);
+      break;
+    case 'progress':
+      parentPort.postMessage({ type: 'progress', update: { percent: 50, stage: 'halfway' } });
+      parentPort.postMessage({ type: 'result', content: Buffer.from(''), mimeType: 'text/plain', extension: 'txt', rowCount: 0 });
+      break;
+    case 'spin':
+      // CPU-bound and never yields, like a runaway layout loop
+      for (;;) {}
+    default:
+      parentPort.postMessage({
+        type: 'result',
+        content: Buffer.from(`thread ${threadId}`),
+        mimeType: 'text/plain',
+        extension: 'txt',
+        rowCount: 0
+      });
+  }
+});
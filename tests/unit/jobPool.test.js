@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the worker's job pool and delivery tracking
+ */
+const { JobPool } = require('../../src/worker/jobPool');
+const { trackDelivery } = require('../../src/worker/delivery');
+
+/**
+ * A promise with its resolve/reject exposed
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('JobPool', () => {
+  test('should run at most its concurrency and queue the rest', async () => {
+    const pool = new JobPool(2);
+    const jobs = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const results = jobs.map((job, index) => pool.run(() => {
+      started.push(index);
+      return job.promise;
+    }));
+    await flush();
+
+    expect(started).toEqual([0, 1]);
+    expect(pool.active).toBe(2);
+    expect(pool.pending).toBe(1);
+
+    jobs[0].resolve('first');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    jobs[1].resolve('second');
+    jobs[2].resolve('third');
+    await expect(Promise.all(results)).resolves.toEqual(['first', 'second', 'third']);
+    expect(pool.active).toBe(0);
+  });
+
+  test('should free the slot of a failed job', async () => {
+    const pool = new JobPool(1);
+
+    await expect(pool.run(async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    await expect(pool.run(async () => 'next')).resolves.toBe('next');
+  });
+
+  test('should resolve onIdle once running and queued jobs have finished', async () => {
+    const pool = new JobPool(1);
+    const jobs = [deferred(), deferred()];
+    jobs.forEach(job => pool.run(() => job.promise));
+    const idle = jest.fn();
+    pool.onIdle().then(idle);
+
+    jobs[0].resolve();
+    await flush();
+    expect(idle).not.toHaveBeenCalled();
+
+    jobs[1].resolve();
+    await flush();
+    expect(idle).toHaveBeenCalled();
+    await expect(pool.onIdle()).resolves.toBeUndefined();
+  });
+
+  test('should reject an invalid concurrency', () => {
+    expect(() => new JobPool(0)).toThrow('positive integer');
+    expect(() => new JobPool(NaN)).toThrow('positive integer');
+  });
+});
+
+describe('trackDelivery', () => {
+  const msg = { fields: { deliveryTag: 7 } };
+  let channel;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    channel = { ack: jest.fn(), nack: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should settle a delivery only once', () => {
+    const delivery = trackDelivery(msg, channel);
+
+    expect(delivery.settled).toBe(false);
+    expect(delivery.nack(false)).toBe(true);
+    expect(delivery.ack()).toBe(false);
+    expect(delivery.nack(true)).toBe(false);
+
+    expect(delivery.settled).toBe(true);
+    expect(channel.nack).toHaveBeenCalledTimes(1);
+    expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+    expect(channel.ack).not.toHaveBeenCalled();
+  });
+
+  test('should treat an ack on a closed channel as settled', () => {
+    channel.ack.mockImplementation(() => {
+      throw new Error('Channel closed');
+    });
+    const delivery = trackDelivery(msg, channel);
+
+    expect(delivery.ack()).toBe(true);
+    expect(delivery.settled).toBe(true);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the transactional outbox relay
+ */
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/config/rabbitmq');
+jest.mock('../../src/config/transaction', () => ({ withTransaction: jest.fn() }));
+
+const db = require('../../src/config/db');
+const { withTransaction } = require('../../src/config/transaction');
+const { publishConfirmed } = require('../../src/config/rabbitmq');
+const { relayBatch } = require('../../src/outbox/relay');
+const { enqueueReportJob, dispatchReportJob, publishReportJob } = require('../../src/outbox/reportJobs');
+
+describe('Outbox', () => {
+  let query;
+
+  const outboxRow = (id, reportId) => ({
+    id,
+    report_id: reportId,
+    exchange_name: 'report_exchange',
+    routing_key: 'report.sales_summary',
+    payload: { report_id: reportId, report_type: 'sales_summary' },
+    properties: null
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    query = jest.fn();
+    withTransaction.mockImplementation(work => work(query));
+    publishConfirmed.mockResolvedValue();
+    db.query.mockImplementation((sql, values, callback) => callback(null, { affectedRows: values[0].length }));
+  });
+
+  const statements = () => db.query.mock.calls.map(([sql, values]) => [sql, values]);
+
+  test('should write the job message to the outbox in enqueueReportJob', async () => {
+    query.mockResolvedValue({ insertId: 1 });
+
+    await enqueueReportJob(query, 'r1', {
+      report_type: 'sales_summary',
+      parameters: { startDate: '2023-01-01', endDate: '2023-01-31' },
+      format: 'csv'
+    });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO outbox');
+    expect(values.slice(0, 3)).toEqual(['r1', 'report_exchange', 'report.sales_summary']);
+    expect(JSON.parse(values[3])).toMatchObject({ report_id: 'r1', format: 'csv' });
+  });
+
+  test('should relay unsent rows and mark them sent after confirms', async () => {
+    query
+      .mockResolvedValueOnce([outboxRow(1, 'r1'), outboxRow(2, 'r2')])
+      .mockResolvedValueOnce({ affectedRows: 2 });
+
+    const published = await relayBatch(10);
+
+    expect(published).toBe(2);
+    expect(query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+    expect(query.mock.calls[0][0]).toContain('claimed_until < NOW()');
+    expect(query.mock.calls[0][1]).toEqual([10]);
+    expect(query.mock.calls[1]).toEqual([
+      'UPDATE outbox SET claimed_until = DATE_ADD(NOW(), INTERVAL ? SECOND) WHERE id IN (?)', [30, [1, 2]]
+    ]);
+    expect(publishConfirmed).toHaveBeenCalledTimes(2);
+
+    const [exchange, routingKey, content, options] = publishConfirmed.mock.calls[0];
+    expect(exchange).toBe('report_exchange');
+    expect(routingKey).toBe('report.sales_summary');
+    expect(JSON.parse(content.toString())).toEqual({ report_id: 'r1', report_type: 'sales_summary' });
+    expect(options).toMatchObject({ persistent: true, messageId: '1' });
+
+    // Marked sent outside the claiming transaction
+    expect(statements()).toEqual([['UPDATE outbox SET sent_at = NOW(), claimed_until = NULL WHERE id IN (?)', [[1, 2]]]]);
+  });
+
+  test('should commit the relay\'s claim before waiting on the broker', async () => {
+    query
+      .mockResolvedValueOnce([outboxRow(1, 'r1')])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    let claimCommitted = false;
+    withTransaction.mockImplementation(async work => {
+      const result = await work(query);
+      claimCommitted = true;
+      return result;
+    });
+    publishConfirmed.mockImplementation(async () => {
+      expect(claimCommitted).toBe(true);
+    });
+
+    await expect(relayBatch()).resolves.toBe(1);
+    expect(publishConfirmed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should leave rows unsent and release the relay\'s claim when the broker does not confirm', async () => {
+    query
+      .mockResolvedValueOnce([outboxRow(1, 'r1')])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    publishConfirmed.mockRejectedValue(new Error('message nacked'));
+
+    await expect(relayBatch()).rejects.toThrow('message nacked');
+
+    expect(statements()).toEqual([
+      ['UPDATE outbox SET claimed_until = NULL WHERE id IN (?) AND sent_at IS NULL', [[1]]]
+    ]);
+  });
+
+  test('should relay nothing when the outbox is empty', async () => {
+    query.mockResolvedValueOnce([]);
+
+    await expect(relayBatch()).resolves.toBe(0);
+
+    expect(query).toHaveBeenCalledTimes(1);
+    expect(publishConfirmed).not.toHaveBeenCalled();
+  });
+
+  test('should only publish the given report\'s messages in dispatchReportJob', async () => {
+    query
+      .mockResolvedValueOnce([outboxRow(3, 'r3')])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    await expect(dispatchReportJob('r3')).resolves.toBe(1);
+
+    expect(query.mock.calls[0][0]).toContain('AND report_id = ?');
+    expect(query.mock.calls[0][1]).toEqual(['r3', 100]);
+    expect(publishConfirmed).toHaveBeenCalledTimes(1);
+  });
+
+  test('should leave the job to the relay when publishReportJob cannot publish it', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    query
+      .mockResolvedValueOnce([outboxRow(5, 'r5')])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+    publishConfirmed.mockRejectedValue(new Error('Message broker is unavailable'));
+
+    await expect(publishReportJob('r5')).resolves.toBeUndefined();
+
+    // The claim is released for the relay instead of marking the row sent
+    expect(statements()).toEqual([
+      ['UPDATE outbox SET claimed_until = NULL WHERE id IN (?) AND sent_at IS NULL', [[5]]]
+    ]);
+    expect(console.error).toHaveBeenCalledWith(
+      '⚠️ Job of report r5 left to the outbox relay:', 'Message broker is unavailable'
+    );
+    console.error.mockRestore();
+  });
+
+  test('should publish the stored properties along with the defaults', async () => {
+    query
+      .mockResolvedValueOnce([{ ...outboxRow(4, 'r4'), properties: '{"priority":5}' }])
+      .mockResolvedValueOnce({ affectedRows: 1 });
+
+    await relayBatch();
+
+    expect(publishConfirmed.mock.calls[0][3]).toMatchObject({ priority: 5, persistent: true });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for report progress tracking
+ */
+const { normalizeProgress, createProgressTracker } = require('../../src/worker/progress');
+
+describe('normalizeProgress', () => {
+  test('should round and clamp the percent', () => {
+    expect(normalizeProgress({ percent: 42.6 })).toEqual({ percent: 43 });
+    expect(normalizeProgress({ percent: 140 })).toEqual({ percent: 100 });
+    expect(normalizeProgress({ percent: -5 })).toEqual({ percent: 0 });
+  });
+
+  test('should ignore invalid fields instead of failing the report', () => {
+    expect(normalizeProgress({ percent: NaN, stage: 7, message: {} })).toEqual({});
+    expect(normalizeProgress('half way')).toEqual({});
+  });
+
+  test('should truncate the stage and message to their columns', () => {
+    const { stage, message } = normalizeProgress({ stage: 's'.repeat(150), message: 'm'.repeat(300) });
+    expect(stage).toHaveLength(100);
+    expect(message).toHaveLength(255);
+  });
+});
+
+describe('createProgressTracker', () => {
+  let write;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    write = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const flush = () => Promise.resolve();
+
+  test('should write the first update right away and throttle the rest to the latest', async () => {
+    const tracker = createProgressTracker(write, { intervalMs: 1000 });
+
+    tracker.report({ percent: 0, stage: 'querying' });
+    await flush();
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(write).toHaveBeenLastCalledWith({ percent: 0, stage: 'querying', message: null });
+
+    for (let percent = 1; percent <= 50; percent++) {
+      tracker.report({ percent, message: `${percent} rows` });
+    }
+    await flush();
+    expect(write).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    await flush();
+    expect(write).toHaveBeenCalledTimes(2);
+    expect(write).toHaveBeenLastCalledWith({ percent: 50, stage: 'querying', message: '50 rows' });
+  });
+
+  test('should keep the percent across stages but drop the previous stage\'s message', async () => {
+    const tracker = createProgressTracker(write, { intervalMs: 0 });
+
+    tracker.report({ percent: 80, stage: 'summarizing', message: '120 rows' });
+    tracker.report({ stage: 'rendering' });
+    await flush();
+
+    expect(write).toHaveBeenLastCalledWith({ percent: 80, stage: 'rendering', message: null });
+  });
+
+  test('should drop pending updates once stopped', async () => {
+    const tracker = createProgressTracker(write, { intervalMs: 1000 });
+
+    tracker.report({ percent: 10 });
+    tracker.report({ percent: 20 });
+    tracker.stop();
+    tracker.report({ percent: 30 });
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(write).toHaveBeenCalledWith(expect.objectContaining({ percent: 10 }));
+  });
+
+  test('should log failed writes without throwing', async () => {
+    jest.useRealTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    write.mockRejectedValue(new Error('Connection lost'));
+    const tracker = createProgressTracker(write, { intervalMs: 0 });
+
+    expect(() => tracker.report({ percent: 10 })).not.toThrow();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(console.error).toHaveBeenCalledWith('⚠️ Could not save report progress:', 'Connection lost');
+    console.error.mockRestore();
+  });
+});
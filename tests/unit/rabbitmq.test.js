@@ -0,0 +1,172 @@
+/**
+ * Unit tests for the API's RabbitMQ connection manager
+ */
+const { EventEmitter } = require('events');
+
+jest.mock('amqplib', () => ({ connect: jest.fn() }));
+
+const amqp = require('amqplib');
+const rabbitmq = require('../../src/config/rabbitmq');
+
+/**
+ * Fake confirm channel that acks every publish
+ */
+function fakeChannel() {
+  const channel = new EventEmitter();
+  channel.assertExchange = jest.fn().mockResolvedValue();
+  channel.assertQueue = jest.fn().mockResolvedValue();
+  channel.bindQueue = jest.fn().mockResolvedValue();
+  channel.publish = jest.fn((exchange, routingKey, content, options, callback) => {
+    callback(null);
+    return true;
+  });
+  channel.close = jest.fn().mockResolvedValue();
+  return channel;
+}
+
+function fakeConnection(channel) {
+  const connection = new EventEmitter();
+  connection.createConfirmChannel = jest.fn().mockResolvedValue(channel);
+  connection.close = jest.fn(async () => connection.emit('close'));
+  return connection;
+}
+
+describe('RabbitMQ connection manager', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    amqp.connect.mockReset();
+  });
+
+  afterEach(async () => {
+    await rabbitmq.closeRabbitMQ();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should reconnect with backoff and swap in the new channel', async () => {
+    const firstChannel = fakeChannel();
+    const firstConnection = fakeConnection(firstChannel);
+    const secondChannel = fakeChannel();
+    amqp.connect
+      .mockResolvedValueOnce(firstConnection)
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValueOnce(fakeConnection(secondChannel));
+
+    await rabbitmq.connectRabbitMQ(1);
+    expect(rabbitmq.getBrokerStatus().state).toBe('connected');
+
+    firstConnection.emit('close');
+
+    expect(rabbitmq.getBrokerStatus()).toMatchObject({ state: 'reconnecting', connected: false });
+    await expect(rabbitmq.publishConfirmed('report_exchange', 'report.sales_summary', Buffer.from('{}')))
+      .rejects.toBeInstanceOf(rabbitmq.BrokerUnavailableError);
+
+    // Attempt 1 after 1s fails, attempt 2 after 2s succeeds
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(rabbitmq.getBrokerStatus()).toMatchObject({ state: 'reconnecting', lastError: 'ECONNREFUSED' });
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(amqp.connect).toHaveBeenCalledTimes(3);
+    expect(rabbitmq.getBrokerStatus()).toMatchObject({ state: 'connected', reconnectAttempt: 0 });
+    expect(secondChannel.assertQueue).toHaveBeenCalledWith('report_queue.sales_summary', expect.any(Object));
+    expect(rabbitmq.getChannel()).toBe(secondChannel);
+
+    await rabbitmq.publishConfirmed('report_exchange', 'report.sales_summary', Buffer.from('{}'));
+    expect(secondChannel.publish).toHaveBeenCalledTimes(1);
+    expect(firstChannel.publish).not.toHaveBeenCalled();
+  });
+
+  test('should recover when the broker closes the publishing channel', async () => {
+    const channel = fakeChannel();
+    const connection = fakeConnection(channel);
+    amqp.connect
+      .mockResolvedValueOnce(connection)
+      .mockResolvedValueOnce(fakeConnection(fakeChannel()));
+
+    await rabbitmq.connectRabbitMQ(1);
+    channel.emit('close');
+    await Promise.resolve();
+
+    expect(connection.close).toHaveBeenCalled();
+    expect(rabbitmq.getBrokerStatus().state).toBe('reconnecting');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(rabbitmq.getBrokerStatus().state).toBe('connected');
+  });
+
+  test('should declare the shared topology, retry delay queues included', async () => {
+    const channel = fakeChannel();
+    amqp.connect.mockResolvedValueOnce(fakeConnection(channel));
+
+    await rabbitmq.connectRabbitMQ(1);
+
+    expect(channel.assertExchange).toHaveBeenCalledWith('report_exchange', 'topic', { durable: true });
+    for (const type of ['sales_summary', 'user_activity']) {
+      expect(channel.assertQueue).toHaveBeenCalledWith(`report_queue.${type}`, {
+        durable: true,
+        arguments: {
+          'x-dead-letter-exchange': 'dlq_exchange',
+          'x-dead-letter-routing-key': `report_dlq.${type}`,
+          'x-max-priority': 10
+        }
+      });
+      expect(channel.bindQueue).toHaveBeenCalledWith(`report_queue.${type}`, 'report_exchange', `report.${type}`);
+      expect(channel.assertQueue).toHaveBeenCalledWith(`report_dlq.${type}`, { durable: true });
+      expect(channel.bindQueue).toHaveBeenCalledWith(`report_dlq.${type}`, 'dlq_exchange', `report_dlq.${type}`);
+    }
+    expect(channel.assertExchange).toHaveBeenCalledWith('report_retry_exchange', 'headers', { durable: true });
+    expect(channel.assertQueue).toHaveBeenCalledWith('report_retry_3', expect.any(Object));
+    expect(channel.assertExchange).toHaveBeenCalledWith('report_control_exchange', 'fanout', { durable: true });
+  });
+
+  test('should fail without retrying when an existing queue has different arguments', async () => {
+    const channel = fakeChannel();
+    const connection = fakeConnection(channel);
+    channel.assertQueue.mockImplementation(async (queue) => {
+      if (queue === 'report_queue.sales_summary') {
+        throw Object.assign(
+          new Error("Operation failed: QueueDeclare; 406 (PRECONDITION-FAILED) with message \"PRECONDITION_FAILED - inequivalent arg 'x-dead-letter-exchange'\""),
+          { code: 406 }
+        );
+      }
+    });
+    amqp.connect.mockResolvedValue(connection);
+
+    const connecting = rabbitmq.connectRabbitMQ(5, 10);
+
+    await expect(connecting).rejects.toBeInstanceOf(rabbitmq.TopologyConflictError);
+    await expect(connecting).rejects.toThrow('Queue "report_queue.sales_summary" already exists on the broker with different settings');
+    expect(amqp.connect).toHaveBeenCalledTimes(1);
+    expect(connection.close).toHaveBeenCalled();
+  });
+
+  test('should run channel setups again on the new channel after a reconnect', async () => {
+    const firstConnection = fakeConnection(fakeChannel());
+    const secondChannel = fakeChannel();
+    amqp.connect
+      .mockResolvedValueOnce(firstConnection)
+      .mockResolvedValueOnce(fakeConnection(secondChannel));
+    const setup = jest.fn().mockResolvedValue();
+    rabbitmq.onChannel(setup);
+
+    await rabbitmq.connectRabbitMQ(1);
+    firstConnection.emit('close');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(setup).toHaveBeenCalledTimes(2);
+    expect(setup).toHaveBeenLastCalledWith(secondChannel);
+  });
+
+  test('should not reconnect after closeRabbitMQ', async () => {
+    amqp.connect.mockResolvedValueOnce(fakeConnection(fakeChannel()));
+
+    await rabbitmq.connectRabbitMQ(1);
+    await rabbitmq.closeRabbitMQ();
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(amqp.connect).toHaveBeenCalledTimes(1);
+    expect(rabbitmq.getBrokerStatus().state).toBe('closed');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for the worker's lease reaper
+ */
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../../src/config/rabbitmq');
+jest.mock('../../src/config/transaction', () => ({ withTransaction: jest.fn() }));
+jest.mock('../../src/outbox/reportJobs', () => ({
+  ...jest.requireActual('../../src/outbox/reportJobs'),
+  publishReportJob: jest.fn()
+}));
+
+const { withTransaction } = require('../../src/config/transaction');
+const { publishReportJob } = require('../../src/outbox/reportJobs');
+const { reapExpiredLeases } = require('../../src/worker/reaper');
+
+describe('reapExpiredLeases', () => {
+  let query;
+  let expired;
+
+  const abandoned = (overrides = {}) => ({
+    id: 'r1',
+    worker_id: 'worker-a:42',
+    lease_expires_at: new Date('2024-01-01T10:00:00Z'),
+    retry_count: 1,
+    request_payload: { report_type: 'sales_summary', parameters: { startDate: '2023-01-01' }, format: 'csv' },
+    priority: 7,
+    ...overrides
+  });
+
+  const callsMatching = fragment => query.mock.calls.filter(([sql]) => sql.includes(fragment));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    expired = [];
+    query = jest.fn(async sql => (sql.includes('FROM reports') ? expired : { affectedRows: 1 }));
+    withTransaction.mockImplementation(work => work(query));
+    publishReportJob.mockResolvedValue();
+  });
+
+  test('should only claim processing reports with an expired or no lease, skipping locked ones', async () => {
+    await reapExpiredLeases({ actor: 'worker-b:7' });
+
+    const [sql, values] = query.mock.calls[0];
+    expect(sql).toContain("status = 'processing' AND (lease_expires_at IS NULL OR lease_expires_at < NOW())");
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(values).toEqual([100]);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should schedule a delayed retry while retries remain', async () => {
+    expired = [abandoned()];
+
+    const reaped = await reapExpiredLeases({ actor: 'worker-b:7' });
+
+    expect(reaped).toEqual([{ report_id: 'r1', worker_id: 'worker-a:42', action: 'retried' }]);
+
+    const [[, reset]] = callsMatching("SET status = 'pending'");
+    expect(reset.slice(0, 2)).toEqual([2, 'Worker worker-a:42 stopped renewing its lease']);
+    expect(reset[2]).toBeInstanceOf(Date);
+    expect(reset[3]).toBe('r1');
+
+    const [[, outbox]] = callsMatching('INSERT INTO outbox');
+    expect(outbox.slice(0, 3)).toEqual(['r1', 'report_retry_exchange', 'report.sales_summary']);
+    expect(JSON.parse(outbox[4])).toMatchObject({
+      priority: 7,
+      headers: { 'x-retry-level': '2' }
+    });
+
+    const [[, event]] = callsMatching('INSERT INTO report_events');
+    expect(event.slice(0, 2)).toEqual(['r1', 'worker-b:7']);
+    expect(JSON.parse(event[2])).toMatchObject({ worker_id: 'worker-a:42', retry_count: 1, action: 'retried' });
+
+    expect(publishReportJob).toHaveBeenCalledWith('r1');
+  });
+
+  test('should retry a report an earlier release left processing without a lease', async () => {
+    expired = [abandoned({ worker_id: null, lease_expires_at: null })];
+
+    const reaped = await reapExpiredLeases({ actor: 'worker-b:7' });
+
+    expect(reaped).toEqual([{ report_id: 'r1', worker_id: null, action: 'retried' }]);
+    const [[, reset]] = callsMatching("SET status = 'pending'");
+    expect(reset[1]).toBe('Worker unknown stopped renewing its lease');
+    expect(callsMatching('INSERT INTO outbox')).toHaveLength(1);
+    expect(publishReportJob).toHaveBeenCalledWith('r1');
+  });
+
+  test('should fail the report once its retries are used up', async () => {
+    expired = [abandoned({ retry_count: 3 })];
+
+    const reaped = await reapExpiredLeases({ actor: 'worker-b:7' });
+
+    expect(reaped[0].action).toBe('failed');
+    const [[, failed]] = callsMatching("SET status = 'failed'");
+    expect(failed).toEqual(['Failed after 3 retries: Worker worker-a:42 stopped renewing its lease', 'r1']);
+    expect(callsMatching('INSERT INTO outbox')).toHaveLength(0);
+    expect(JSON.parse(callsMatching('INSERT INTO report_events')[0][1][2]).action).toBe('failed');
+    expect(publishReportJob).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit tests for the worker's graceful shutdown
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildHeldJob } = require('./fixtures/messages');
+
+process.env.REPORTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+process.env.WORKER_THREADS = '0';
+
+jest.mock('../../src/config/db', () => ({
+  query: jest.fn(),
+  end: jest.fn(callback => callback())
+}));
+jest.mock('../../src/config/rabbitmq', () => ({
+  connectRabbitMQ: jest.fn().mockResolvedValue(),
+  onChannel: jest.fn(),
+  closeRabbitMQ: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/config/transaction', () => ({ withTransaction: jest.fn() }));
+jest.mock('../../src/outbox/reportJobs', () => ({
+  ...jest.requireActual('../../src/outbox/reportJobs'),
+  publishReportJob: jest.fn().mockResolvedValue()
+}));
+
+/**
+ * Loads a fresh worker module, since shutting down is one-way
+ */
+function loadWorker() {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      worker: require('../../src/worker/worker'),
+      registry: require('../../src/reports/registry'),
+      db: require('../../src/config/db'),
+      rabbitmq: require('../../src/config/rabbitmq'),
+      reportJobs: require('../../src/outbox/reportJobs')
+    };
+    // Transactions run their statements on the mocked pool
+    const { runQuery } = require('../../src/config/query');
+    require('../../src/config/transaction').withTransaction.mockImplementation(work => work(runQuery));
+  });
+  return modules;
+}
+
+function fakeChannel() {
+  let consumers = 0;
+  return {
+    prefetch: jest.fn().mockResolvedValue(),
+    consume: jest.fn(async () => ({ consumerTag: `ctag-${++consumers}` })),
+    cancel: jest.fn().mockResolvedValue(),
+    assertQueue: jest.fn().mockResolvedValue({ queue: 'amq.gen-control' }),
+    bindQueue: jest.fn().mockResolvedValue(),
+    ack: jest.fn(),
+    nack: jest.fn(),
+    publish: jest.fn(),
+    waitForConfirms: jest.fn().mockResolvedValue()
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('shutdownWorker', () => {
+  let worker;
+  let registry;
+  let db;
+  let rabbitmq;
+  let reportJobs;
+  let channel;
+  let deliver;
+  let releases;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ worker, registry, db, rabbitmq, reportJobs } = loadWorker());
+    releases = new Map();
+    registry.registerGenerator({
+      type: 'held_export',
+      // Runs until the test releases it
+      generate: (parameters, { reportId }) => new Promise(resolve => {
+        releases.set(reportId, () => resolve({ columns: ['n'], rows: [] }));
+      })
+    });
+    db.query.mockImplementation((query, values, callback) => {
+      if (query.startsWith('SELECT * FROM reports')) {
+        return callback(null, [{ id: values[0], status: 'pending', retry_count: 0 }]);
+      }
+      callback(null, { affectedRows: 1 });
+    });
+
+    await worker.startWorker();
+    channel = fakeChannel();
+    await rabbitmq.onChannel.mock.calls[0][0](channel);
+    const handler = channel.consume.mock.calls[0][1];
+    deliver = msg => handler(msg);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Waits until the generator of a report has started
+   */
+  async function started(reportId) {
+    while (!releases.has(reportId)) {
+      await flush();
+    }
+  }
+
+  test('should stop consuming and let in-flight reports finish', async () => {
+    const msg = buildHeldJob('r1', 1);
+    deliver(msg);
+    await started('r1');
+
+    const stopping = worker.shutdownWorker({ graceMs: 5000 });
+    await flush();
+    expect(channel.cancel.mock.calls.map(([tag]) => tag)).toEqual(['ctag-1', 'ctag-2']);
+
+    releases.get('r1')();
+    await expect(stopping).resolves.toEqual({ drained: true, interrupted: 0 });
+
+    expect(channel.ack).toHaveBeenCalledWith(msg);
+    expect(channel.nack).not.toHaveBeenCalled();
+    expect(rabbitmq.closeRabbitMQ).toHaveBeenCalled();
+    expect(db.end).toHaveBeenCalled();
+
+    // A reconnection during shutdown does not start consuming again
+    const reconnected = fakeChannel();
+    await rabbitmq.onChannel.mock.calls[0][0](reconnected);
+    expect(reconnected.consume).not.toHaveBeenCalled();
+  });
+
+  test('should requeue reports still running after the grace period through the outbox and reset them to pending', async () => {
+    const msg = buildHeldJob('r2', 1);
+    deliver(msg);
+    await started('r2');
+
+    await expect(worker.shutdownWorker({ graceMs: 20 })).resolves.toEqual({ drained: false, interrupted: 1 });
+
+    const reset = db.query.mock.calls.find(([query, values]) =>
+      query.startsWith('UPDATE reports') && values[0] === 'pending');
+    expect(reset[0]).toContain('AND status IN (?) AND worker_id = ?');
+    expect(reset[1]).toEqual(['pending', null, 'r2', ['processing'], expect.any(String)]);
+    const event = db.query.mock.calls.find(([query]) => query.includes('INSERT INTO report_events'));
+    expect(event[1].slice(0, 2)).toEqual(['r2', 'worker_shutdown']);
+    const outbox = db.query.mock.calls.find(([query]) => query.includes('INSERT INTO outbox'));
+    expect(outbox[1].slice(0, 3)).toEqual(['r2', 'report_exchange', 'report.held_export']);
+    expect(reportJobs.publishReportJob).toHaveBeenCalledWith('r2');
+
+    // The outbox owns the job now, even if this channel has closed
+    expect(channel.ack).toHaveBeenCalledTimes(1);
+    expect(channel.ack).toHaveBeenCalledWith(msg);
+    expect(channel.nack).not.toHaveBeenCalled();
+    expect(channel.publish).not.toHaveBeenCalled();
+    expect(db.end).toHaveBeenCalled();
+  });
+
+  test('should requeue deliveries that were waiting for a free slot without starting them', async () => {
+    const running = buildHeldJob('r3', 1);
+    const waiting = buildHeldJob('r4', 2);
+    deliver(running);
+    deliver(waiting);
+    await started('r3');
+
+    const stopping = worker.shutdownWorker({ graceMs: 5000 });
+    await flush();
+    releases.get('r3')();
+    await stopping;
+
+    expect(channel.ack).toHaveBeenCalledWith(running);
+    expect(channel.nack).toHaveBeenCalledWith(waiting, false, true);
+    expect(releases.has('r4')).toBe(false);
+    expect(db.query.mock.calls.some(([, values]) => values[0] === 'r4')).toBe(false);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for artifact storage backends
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { createFilesystemStorage } = require('../../src/storage/filesystemStorage');
+const { createS3Storage } = require('../../src/storage/s3Storage');
+const { ArtifactNotFoundError } = require('../../src/storage/errors');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('Storage Unit Tests', () => {
+  describe('filesystem backend', () => {
+    let storage;
+    let rootDir;
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+      storage = createFilesystemStorage({ rootDir });
+    });
+
+    test('should write and stream back an artifact', async () => {
+      await storage.put('report-1.csv', Buffer.from('a,b\n1,2\n'), { contentType: 'text/csv' });
+
+      expect(fs.existsSync(path.join(rootDir, 'report-1.csv'))).toBe(true);
+      expect(await readAll(await storage.getStream('report-1.csv'))).toBe('a,b\n1,2\n');
+    });
+
+    test('should throw ArtifactNotFoundError for missing artifacts', async () => {
+      await expect(storage.getStream('missing.pdf')).rejects.toBeInstanceOf(ArtifactNotFoundError);
+    });
+
+    test('should reject keys escaping the root directory', async () => {
+      await expect(storage.put('../outside.csv', Buffer.from('x'))).rejects.toThrow('Invalid artifact key');
+    });
+  });
+
+  describe('S3 backend', () => {
+    test('should create the bucket once and upload with content type', async () => {
+      const notFound = Object.assign(new Error('NotFound'), { $metadata: { httpStatusCode: 404 } });
+      const client = {
+        send: jest.fn()
+          .mockRejectedValueOnce(notFound) // HeadBucket
+          .mockResolvedValue({})
+      };
+      const storage = createS3Storage({ bucket: 'reports', client });
+
+      await storage.put('report-1.pdf', Buffer.from('%PDF'), { contentType: 'application/pdf' });
+      await storage.put('report-2.pdf', Buffer.from('%PDF'), { contentType: 'application/pdf' });
+
+      const commands = client.send.mock.calls.map(([command]) => command.constructor.name);
+      expect(commands).toEqual([
+        'HeadBucketCommand', 'CreateBucketCommand', 'PutObjectCommand', 'PutObjectCommand'
+      ]);
+      expect(client.send.mock.calls[2][0].input).toMatchObject({
+        Bucket: 'reports',
+        Key: 'report-1.pdf',
+        ContentType: 'application/pdf'
+      });
+    });
+
+    test('should stream objects and map missing keys to ArtifactNotFoundError', async () => {
+      const client = {
+        send: jest.fn()
+          .mockResolvedValueOnce({ Body: Readable.from(['hello']) })
+          .mockRejectedValueOnce(Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' }))
+      };
+      const storage = createS3Storage({ bucket: 'reports', client });
+
+      expect(await readAll(await storage.getStream('report-1.pdf'))).toBe('hello');
+      await expect(storage.getStream('missing.pdf')).rejects.toBeInstanceOf(ArtifactNotFoundError);
+    });
+  });
+});
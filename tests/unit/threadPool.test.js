@@ -0,0 +1,165 @@
+/**
+ * Unit tests for the worker's generator thread pool
+ */
+const path = require('path');
+const { GeneratorThreadPool } = require('../../src/worker/threads/threadPool');
+const {
+  classifyError,
+  GeneratorCrashedError,
+  ReportCancelledError,
+  TimeoutError
+} = require('../../src/reports/errors');
+
+const STUB_THREAD = path.join(__dirname, 'fixtures', 'stubGeneratorThread.js');
+
+describe('GeneratorThreadPool', () => {
+  let pool;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await pool.close();
+    jest.restoreAllMocks();
+  });
+
+  describe('with the generator thread', () => {
+    const job = {
+      reportId: 'r1',
+      reportType: 'sales_summary',
+      parameters: { startDate: '2023-01-01', endDate: '2023-01-31' },
+      format: 'csv'
+    };
+
+    test('should generate and render in a thread, running queries on the parent', async () => {
+      const runQuery = jest.fn().mockResolvedValue([
+        { region: 'EMEA', orders: 2, units: '3', revenue: '40.00' }
+      ]);
+      pool = new GeneratorThreadPool({ size: 1, runQuery });
+      const onProgress = jest.fn();
+
+      const result = await pool.run(job, { onProgress });
+
+      expect(runQuery.mock.calls[0][0]).toContain('FROM sales_orders');
+      expect(runQuery.mock.calls[0][1]).toEqual(['2023-01-01', '2023-01-31']);
+      expect(Buffer.isBuffer(result.content)).toBe(true);
+      expect(result.content.toString()).toBe('region,orders,units,revenue\r\nEMEA,2,3,40\r\n');
+      expect(result).toMatchObject({ mimeType: 'text/csv', extension: 'csv', rowCount: 1 });
+      expect(result.threadId).toBeGreaterThan(0);
+      expect(onProgress.mock.calls.map(([update]) => update.stage)).toEqual(['querying', 'summarizing', 'rendering']);
+    });
+
+    test('should keep the codes of query errors so they are retried', async () => {
+      const runQuery = jest.fn().mockRejectedValue(
+        Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' })
+      );
+      pool = new GeneratorThreadPool({ size: 1, runQuery });
+
+      const error = await pool.run(job).catch(caught => caught);
+
+      expect(error.message).toBe('Lock wait timeout exceeded');
+      expect(classifyError(error)).toMatchObject({ code: 'TRANSIENT_ERROR', retryable: true });
+    });
+
+    test('should abort the generator\'s signal in the thread and keep the thread when it stops', async () => {
+      let queried;
+      const waiting = new Promise(resolve => {
+        queried = resolve;
+      });
+      const runQuery = jest.fn()
+        .mockImplementationOnce(() => {
+          queried();
+          return new Promise(() => {});
+        })
+        .mockResolvedValue([]);
+      pool = new GeneratorThreadPool({ size: 1, runQuery, abortGraceMs: 5000 });
+      const controller = new AbortController();
+
+      const cancelled = pool.run(job, { signal: controller.signal });
+      await waiting;
+      const [thread] = pool.threads;
+      controller.abort(new ReportCancelledError('r1'));
+
+      await expect(cancelled).rejects.toBeInstanceOf(ReportCancelledError);
+      // The thread stopped on the signal, so it takes the next job
+      const result = await pool.run(job);
+      expect(result.threadId).toBe(thread.worker.threadId);
+      expect(pool.threads.size).toBe(1);
+    });
+
+    test('should keep report errors raised in the thread', async () => {
+      pool = new GeneratorThreadPool({ size: 1, runQuery: jest.fn() });
+
+      const error = await pool.run({ ...job, reportType: 'custom_report' }).catch(caught => caught);
+
+      expect(classifyError(error)).toMatchObject({
+        code: 'UNKNOWN_REPORT_TYPE',
+        retryable: false,
+        message: 'Unknown report type: custom_report'
+      });
+    });
+  });
+
+  describe('thread lifecycle', () => {
+    const run = (reportId, options) => pool.run({ reportId }, options);
+
+    test.each([
+      ['crash', 'Generator thread crashed: renderer blew up'],
+      ['exit', 'Generator thread exited with code 3']
+    ])('should turn a thread that dies (%s) into a retryable error and replace it', async (reportId, message) => {
+      pool = new GeneratorThreadPool({ size: 1, runQuery: jest.fn(), script: STUB_THREAD });
+
+      const error = await run(reportId).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(GeneratorCrashedError);
+      expect(error).toMatchObject({ message, retryable: true });
+      await expect(run('ok')).resolves.toMatchObject({ rowCount: 0 });
+    });
+
+    test('should terminate a thread that does not stop within the grace period of an abort', async () => {
+      pool = new GeneratorThreadPool({ size: 1, runQuery: jest.fn(), abortGraceMs: 20, script: STUB_THREAD });
+      const controller = new AbortController();
+
+      const spinning = run('spin', { signal: controller.signal });
+      setTimeout(() => controller.abort(new TimeoutError('Report spin exceeded the job timeout')), 50);
+
+      await expect(spinning).rejects.toBeInstanceOf(TimeoutError);
+      const [thread] = pool.threads;
+      // The spinning thread holds the pool's only slot until it is terminated
+      const next = await run('ok');
+      expect(next).toMatchObject({ rowCount: 0 });
+      expect(next.threadId).not.toBe(thread.worker.threadId);
+    });
+
+    test('should forward the progress a thread reports', async () => {
+      pool = new GeneratorThreadPool({ size: 1, runQuery: jest.fn(), script: STUB_THREAD });
+      const onProgress = jest.fn();
+
+      await run('progress', { onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith({ percent: 50, stage: 'halfway' });
+    });
+
+    test('should recycle a thread after maxJobsPerThread jobs', async () => {
+      pool = new GeneratorThreadPool({ size: 1, runQuery: jest.fn(), maxJobsPerThread: 2, script: STUB_THREAD });
+
+      const threadIds = [];
+      for (let i = 0; i < 3; i++) {
+        threadIds.push((await run('ok')).threadId);
+      }
+
+      expect(threadIds[1]).toBe(threadIds[0]);
+      expect(threadIds[2]).not.toBe(threadIds[0]);
+    });
+
+    test('should queue jobs beyond its size', async () => {
+      pool = new GeneratorThreadPool({ size: 2, runQuery: jest.fn(), script: STUB_THREAD });
+
+      const results = await Promise.all([run('ok'), run('ok'), run('ok')]);
+
+      expect(results).toHaveLength(3);
+      expect(new Set(results.map(result => result.threadId)).size).toBeLessThanOrEqual(2);
+    });
+  });
+});
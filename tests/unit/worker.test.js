@@ -1,39 +1,912 @@
 /**
  * Unit tests for Worker service
  */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.REPORTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+// Generators registered by these tests only exist on the main thread
+process.env.WORKER_THREADS = '0';
+
+jest.mock('../../src/config/db', () => ({ query: jest.fn() }));
+// Transactions run their statements on the mocked pool
+jest.mock('../../src/config/transaction', () => ({
+  withTransaction: jest.fn(work => work(require('../../src/config/query').runQuery))
+}));
+jest.mock('../../src/outbox/reportJobs', () => ({
+  ...jest.requireActual('../../src/outbox/reportJobs'),
+  publishReportJob: jest.fn().mockResolvedValue()
+}));
+
+const db = require('../../src/config/db');
 const reportService = require('../../src/worker/services/reportService');
+const registry = require('../../src/reports/registry');
+const {
+  UnknownReportTypeError,
+  ReportValidationError,
+  NotFoundError,
+  TransientError,
+  TimeoutError,
+  classifyError
+} = require('../../src/reports/errors');
+const validation = require('../../src/reports/validation');
+const formats = require('../../src/reports/formats');
+const { processMessage, handleDelivery, processControlMessage, resolveWorkerTypes } = require('../../src/worker/worker');
+const { JobPool } = require('../../src/worker/jobPool');
+const retryPolicy = require('../../src/worker/retryPolicy');
+const { buildMessage, buildHeldJob } = require('./fixtures/messages');
+const { runQuery } = require('../../src/config/query');
+const { withTransaction } = require('../../src/config/transaction');
+const { publishReportJob } = require('../../src/outbox/reportJobs');
 
 describe('Worker Service Unit Tests', () => {
   describe('generateReport', () => {
-    test('should generate report with valid parameters', async () => {
-      // Mock Math.random to avoid failure simulation
-      const mockRandom = jest.spyOn(Math, 'random');
-      mockRandom.mockReturnValue(0.5); // Above 0.2 threshold
+    test('should dispatch to the registered sales_summary generator', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [
+          { region: 'APAC', orders: 2, units: '5', revenue: '120.50' },
+          { region: 'EMEA', orders: 1, units: '1', revenue: '30.00' }
+        ]);
+      });
+
+      const result = await reportService.generateReport('test-report-123', 'sales_summary', {
+        startDate: '2023-01-01',
+        endDate: '2023-03-31'
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain('FROM sales_orders');
+      expect(db.query.mock.calls[0][1]).toEqual(['2023-01-01', '2023-03-31']);
+      expect(result.columns).toEqual(['region', 'orders', 'units', 'revenue']);
+      expect(result.rows).toHaveLength(2);
+      expect(result.summary).toEqual({ orders: 3, units: 6, revenue: 150.5 });
+    });
+
+    test('should dispatch to the registered user_activity generator', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{
+          user_id: 'user123',
+          event_type: 'login',
+          events: 4,
+          first_seen: '2023-01-02T10:00:00.000Z',
+          last_seen: '2023-01-05T10:00:00.000Z'
+        }]);
+      });
+
+      const result = await reportService.generateReport('test-report-456', 'user_activity', {
+        userId: 'user123'
+      });
+
+      expect(db.query.mock.calls[0][0]).toContain('FROM user_events');
+      expect(db.query.mock.calls[0][1]).toEqual(['user123']);
+      expect(result.rows[0].events).toBe(4);
+      expect(result.summary).toEqual({ users: 1, events: 4 });
+    });
+
+    test('should throw a non-retryable error for unknown report types', async () => {
+      db.query = jest.fn();
+
+      const promise = reportService.generateReport('test-report-789', 'custom_report', {});
+
+      await expect(promise).rejects.toBeInstanceOf(UnknownReportTypeError);
+      await expect(promise).rejects.toMatchObject({ retryable: false });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('report registry', () => {
+    test('should register the built-in report types', () => {
+      expect(registry.hasGenerator('sales_summary')).toBe(true);
+      expect(registry.hasGenerator('user_activity')).toBe(true);
+      expect(registry.hasGenerator('custom_report')).toBe(false);
+    });
+
+    test('should restrict formats to those a generator declares', () => {
+      registry.registerGenerator({
+        type: 'csv_only_export',
+        formats: ['csv', 'json'],
+        generate: async () => ({ columns: [], rows: [] })
+      });
+
+      expect(registry.getSupportedFormats('csv_only_export')).toEqual(['csv', 'json']);
+      expect(registry.getDefaultFormat('csv_only_export')).toBe('csv');
+      expect(registry.describeReportType('csv_only_export')).toMatchObject({
+        report_type: 'csv_only_export',
+        formats: ['csv', 'json'],
+        default_format: 'csv'
+      });
+    });
+
+    test('should reject generators declaring unknown formats', () => {
+      expect(() => registry.registerGenerator({
+        type: 'docx_export',
+        formats: ['docx'],
+        generate: async () => ({})
+      })).toThrow('unsupported format');
+    });
+
+    test('should reject duplicate registrations', () => {
+      expect(() => registry.registerGenerator({
+        type: 'sales_summary',
+        generate: async () => ({})
+      })).toThrow('already registered');
+    });
+  });
+
+  describe('renderReport', () => {
+    const dataset = {
+      title: 'Sales summary',
+      columns: ['region', 'revenue'],
+      rows: [{ region: 'EMEA, North', revenue: 10.5 }, { region: 'APAC', revenue: 3 }],
+      summary: { revenue: 13.5 }
+    };
+
+    test('should render CSV with escaped values', async () => {
+      const { content, mimeType } = await formats.renderReport(dataset, 'csv');
+
+      expect(mimeType).toBe('text/csv');
+      expect(content.toString()).toBe('region,revenue\r\n"EMEA, North",10.5\r\nAPAC,3\r\n');
+    });
+
+    test('should render JSON with rows and summary', async () => {
+      const { content } = await formats.renderReport(dataset, 'json');
+      const document = JSON.parse(content.toString());
+
+      expect(document.rows).toEqual(dataset.rows);
+      expect(document.summary).toEqual(dataset.summary);
+    });
+
+    test.each([
+      ['xlsx', 'PK'],
+      ['pdf', '%PDF']
+    ])('should render %s documents', async (format, signature) => {
+      const { content } = await formats.renderReport(dataset, format);
+
+      expect(content.subarray(0, signature.length).toString()).toBe(signature);
+    });
+
+    test('should write the artifact named after the report', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ region: 'APAC', orders: 1, units: '2', revenue: '3.00' }]);
+      });
+
+      const { artifact, rowCount } = await reportService.buildReport('report-abc', 'sales_summary', {
+        startDate: '2023-01-01',
+        endDate: '2023-01-31'
+      }, 'json');
+
+      expect(rowCount).toBe(1);
+      expect(artifact.artifactKey).toBe('report-abc.json');
+      expect(artifact.mimeType).toBe('application/json');
+      const written = fs.readFileSync(path.join(process.env.REPORTS_DIR, 'report-abc.json'));
+      expect(written.length).toBe(artifact.size);
+    });
+
+    test('should reject unsupported formats', async () => {
+      await expect(formats.renderReport(dataset, 'docx')).rejects.toThrow('Unsupported report format');
+    });
+  });
+
+  describe('processMessage', () => {
+    let channel;
+
+    beforeEach(() => {
+      publishReportJob.mockClear();
+      channel = {
+        ack: jest.fn(),
+        nack: jest.fn(),
+        publish: jest.fn(),
+        waitForConfirms: jest.fn().mockResolvedValue()
+      };
+    });
+
+    test('should complete and ack a report of a registered type', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r1', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(null, []);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r1',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' },
+        format: 'csv'
+      });
+      await processMessage(msg, channel);
+
+      const updates = db.query.mock.calls.filter(([query]) => query.startsWith('UPDATE reports'));
+      expect(updates[updates.length - 1][1]).toEqual(
+        expect.arrayContaining(['completed', 'text/csv', 'r1.csv'])
+      );
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should ack and skip reports that were cancelled while pending', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        callback(null, [{ id: 'r4', status: 'cancelled', retry_count: 0 }]);
+      });
+
+      const msg = buildMessage({ report_id: 'r4', report_type: 'sales_summary', parameters: {} });
+      await processMessage(msg, channel);
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should take a lease on the report when it starts processing', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r11', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(null, []);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      await processMessage(buildMessage({
+        report_id: 'r11',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      }), channel);
+
+      const [claim, values] = db.query.mock.calls.find(([query]) => query.includes('worker_id = ?'));
+      expect(claim).toContain('lease_expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)');
+      expect(claim).toContain('lease_expires_at < NOW()');
+      expect(values[0]).toBe('processing');
+      expect(values[1]).toBe(`${os.hostname()}:${process.pid}`);
+      expect(values.slice(2, 4)).toEqual([60, 'r11']);
+    });
+
+    test('should save the generator\'s progress while the report is processing', async () => {
+      process.env.PROGRESS_WRITE_INTERVAL_MS = '0';
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r13', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(null, [{ region: 'EMEA', orders: 1, units: '1', revenue: '10.00' }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      try {
+        await processMessage(buildMessage({
+          report_id: 'r13',
+          report_type: 'sales_summary',
+          parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+        }), channel);
+      } finally {
+        delete process.env.PROGRESS_WRITE_INTERVAL_MS;
+      }
+
+      const [claim] = db.query.mock.calls.find(([query]) => query.includes('lease_expires_at = DATE_ADD'));
+      expect(claim).toContain('started_at = NOW(), progress_percent = 0');
+
+      const updates = db.query.mock.calls
+        .filter(([query]) => query.includes('progress_updated_at = NOW()'))
+        .map(([query, values]) => values);
+      expect(updates.map(values => values.slice(0, 4))).toEqual([
+        [0, 'querying', null, 'r13'],
+        [80, 'summarizing', '1 rows', 'r13'],
+        [80, 'rendering', null, 'r13'],
+        [80, 'storing', null, 'r13']
+      ]);
+      expect(channel.ack).toHaveBeenCalled();
+    });
+
+    test('should skip a report another worker holds a live lease on', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r12', status: 'processing', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 0 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r12',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
+
+      expect(db.query.mock.calls.some(([query]) => query.includes('FROM sales_orders'))).toBe(false);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should queue its retry through the outbox while another worker skips the redelivered job', async () => {
+      // Worker A's channel closed mid-job, so RabbitMQ redelivered the job to
+      // worker B, which acks it while A's lease is live
+      const redelivered = buildMessage({
+        report_id: 'r16',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r16', status: 'processing', retry_count: 0, priority: 7 }]);
+        }
+        callback(null, { affectedRows: 0 });
+      });
+      await processMessage(redelivered, channel);
+      expect(channel.ack).toHaveBeenCalledWith(redelivered);
+
+      // Worker A's attempt then fails retryably and it can no longer settle
+      // its delivery or publish on the closed channel
+      const closed = {
+        ack: jest.fn(() => { throw new Error('Channel closed'); }),
+        nack: jest.fn(() => { throw new Error('Channel closed'); }),
+        publish: jest.fn(() => { throw new Error('Channel closed'); }),
+        waitForConfirms: jest.fn().mockRejectedValue(new Error('Channel closed'))
+      };
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r16', status: 'pending', retry_count: 0, priority: 7 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' }));
+        }
+        callback(null, { affectedRows: 1 });
+      });
+      const transaction = jest.fn(runQuery);
+      withTransaction.mockImplementationOnce(work => work(transaction));
+      await processMessage(buildMessage({
+        report_id: 'r16',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      }), closed);
+
+      // The reset and the retry's job commit together, so the report keeps a job
+      const [[reset, resetValues], [insert, outbox]] = transaction.mock.calls;
+      expect(reset).toContain('UPDATE reports SET status = ?');
+      expect(resetValues[0]).toBe('pending');
+      expect(insert).toContain('INSERT INTO outbox');
+      expect(outbox.slice(0, 3)).toEqual(['r16', 'report_retry_exchange', 'report.sales_summary']);
+      expect(JSON.parse(outbox[4])).toMatchObject({ priority: 7, headers: { 'x-retry-level': '1' } });
+      expect(publishReportJob).toHaveBeenCalledWith('r16');
+      expect(closed.publish).not.toHaveBeenCalled();
+      expect(closed.ack).toHaveBeenCalledTimes(1);
+      expect(closed.nack).not.toHaveBeenCalled();
+    });
+
+    test('should abort an in-flight report on a cancel broadcast', async () => {
+      registry.registerGenerator({
+        type: 'waits_for_cancel',
+        generate: (parameters, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        })
+      });
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r5', status: 'pending', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({ report_id: 'r5', report_type: 'waits_for_cancel', parameters: {} });
+      const processing = processMessage(msg, channel);
+      await new Promise(resolve => setImmediate(resolve));
+
+      processControlMessage(buildMessage({ type: 'cancel', report_id: 'r5' }));
+      await processing;
+
+      const statuses = db.query.mock.calls
+        .filter(([query]) => query.startsWith('UPDATE reports'))
+        .map(([, values]) => values[0]);
+      expect(statuses).toEqual(['processing']);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should not complete a report cancelled during generation', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r6', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(null, []);
+        }
+        // Report was cancelled before the completion update
+        const completing = values[0] === 'completed';
+        callback(null, { affectedRows: completing ? 0 : 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r6',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' },
+        format: 'json'
+      });
+      await processMessage(msg, channel);
+
+      const completion = db.query.mock.calls.find(([, values]) => values[0] === 'completed');
+      expect(completion[0]).toContain('AND status IN (?)');
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should not complete a report whose lease was reaped and taken by another worker', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r14', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(null, []);
+        }
+        // Still processing, but leased to the worker the reaper handed it to
+        const completing = values[0] === 'completed';
+        callback(null, { affectedRows: completing ? 0 : 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r14',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' },
+        format: 'json'
+      });
+      await processMessage(msg, channel);
+
+      const [completion, values] = db.query.mock.calls.find(([, values]) => values[0] === 'completed');
+      expect(completion).toContain('AND worker_id = ?');
+      expect(values[values.length - 1]).toBe(`${os.hostname()}:${process.pid}`);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+      expect(channel.publish).not.toHaveBeenCalled();
+    });
+
+    test('should not retry a failure when the report was cancelled meanwhile', async () => {
+      let lookups = 0;
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          lookups++;
+          return callback(null, [{ id: 'r7', status: lookups === 1 ? 'pending' : 'cancelled', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(new Error('Lock wait timeout exceeded'));
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r7',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
+
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should schedule a delayed retry for a transient failure', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r8', status: 'pending', retry_count: 1 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' }));
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r8',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      const before = Date.now();
+      await processMessage(msg, channel);
+
+      const retry = db.query.mock.calls.find(([, values]) => values[0] === 'pending');
+      const [, retryCount, reason, errorCode, nextAttemptAt] = retry[1];
+      expect(retryCount).toBe(2);
+      expect(reason).toBe('Lock wait timeout exceeded');
+      expect(errorCode).toBe('TRANSIENT_ERROR');
+      expect(nextAttemptAt.getTime()).toBeGreaterThan(before);
+
+      const [, outbox] = db.query.mock.calls.find(([query]) => query.includes('INSERT INTO outbox'));
+      expect(outbox.slice(0, 3)).toEqual(['r8', 'report_retry_exchange', 'report.sales_summary']);
+      expect(JSON.parse(outbox[3])).toMatchObject({ report_id: 'r8', report_type: 'sales_summary' });
+      const { expiration, headers } = JSON.parse(outbox[4]);
+      expect(headers).toEqual({ 'x-retry-level': '2' });
+      expect(Number(expiration)).toBeGreaterThan(0);
+      expect(nextAttemptAt.getTime() - Number(expiration)).toBeGreaterThanOrEqual(before);
+      expect(publishReportJob).toHaveBeenCalledWith('r8');
+      expect(channel.publish).not.toHaveBeenCalled();
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
 
-      const reportId = 'test-report-123';
-      const reportType = 'sales_summary';
-      const parameters = { startDate: '2023-01-01', endDate: '2023-03-31' };
+    test('should fail a transient failure and dead-letter it once its retries are used up', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r17', status: 'pending', retry_count: 3 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(Object.assign(new Error('Lock wait timeout exceeded'), { code: 'ER_LOCK_WAIT_TIMEOUT' }));
+        }
+        // This worker still holds the lease
+        callback(null, { affectedRows: 1 });
+      });
 
-      const result = await reportService.generateReport(reportId, reportType, parameters);
+      const msg = buildMessage({
+        report_id: 'r17',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
 
-      expect(result).toBe(`http://reports.example.com/${reportId}.pdf`);
-      mockRandom.mockRestore();
+      const [update, values] = db.query.mock.calls.find(([, values]) => values[0] === 'failed');
+      expect(update).toContain('AND worker_id = ?');
+      expect(values).toEqual(expect.arrayContaining([
+        'Failed after 3 retries: Lock wait timeout exceeded',
+        'TRANSIENT_ERROR',
+        'r17'
+      ]));
+      expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO outbox'))).toBe(false);
+      expect(publishReportJob).not.toHaveBeenCalled();
+      expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+      expect(channel.ack).not.toHaveBeenCalled();
     });
 
-    test('should throw error when simulated failure occurs', async () => {
-      // Mock Math.random to trigger failure
-      const mockRandom = jest.spyOn(Math, 'random');
-      mockRandom.mockReturnValue(0.1); // Below 0.2 threshold
+    test.each([
+      ['a retry', { code: 'ER_LOCK_WAIT_TIMEOUT' }],
+      ['a permanent failure', {}]
+    ])('should not overwrite a cancel that races %s', async (outcome, errorProps) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          // Not cancelled yet when the worker re-reads it after the failure
+          return callback(null, [{ id: 'r14', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(Object.assign(new Error('Query failed'), errorProps));
+        }
+        // The cancel commits between that read and the guarded update
+        const guarded = query.includes('AND status IN (?)');
+        callback(null, { affectedRows: guarded ? 0 : 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r14',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
+
+      const [, update] = db.query.mock.calls.find(([query]) => query.includes('AND status IN (?)'));
+      expect(update.slice(-2)).toEqual([['processing'], `${os.hostname()}:${process.pid}`]);
+      expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO outbox'))).toBe(false);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
 
-      const reportId = 'test-report-456';
-      const reportType = 'user_activity';
-      const parameters = { userId: 'user123' };
+    test.each([
+      ['a retry', 0, { code: 'ER_LOCK_WAIT_TIMEOUT' }],
+      ['a permanent failure', 0, {}],
+      ['running out of retries', 3, { code: 'ER_LOCK_WAIT_TIMEOUT' }]
+    ])('should not overwrite a report re-leased to another worker on %s', async (outcome, retryCount, errorProps) => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r15', status: 'pending', retry_count: retryCount }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(Object.assign(new Error('Query failed'), errorProps));
+        }
+        // The reaper handed the report to another worker, which is running it
+        const leased = query.startsWith('UPDATE reports SET') && query.includes('AND worker_id = ?');
+        callback(null, { affectedRows: leased ? 0 : 1 });
+      });
 
-      await expect(
-        reportService.generateReport(reportId, reportType, parameters)
-      ).rejects.toThrow('Simulated transient processing error');
+      const msg = buildMessage({
+        report_id: 'r15',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
 
-      mockRandom.mockRestore();
+      const [update, values] = db.query.mock.calls.find(([query]) =>
+        query.startsWith('UPDATE reports SET') && query.includes('AND status IN (?)'));
+      expect(update).toContain('AND worker_id = ?');
+      expect(values[values.length - 1]).toBe(`${os.hostname()}:${process.pid}`);
+      expect(db.query.mock.calls.some(([query]) => query.includes('INSERT INTO outbox'))).toBe(false);
+      expect(channel.ack).toHaveBeenCalledWith(msg);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should fail unexpected errors without retrying', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r9', status: 'pending', retry_count: 0 }]);
+        }
+        if (query.includes('FROM sales_orders')) {
+          return callback(new Error("Unknown column 'amount' in 'field list'"));
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({
+        report_id: 'r9',
+        report_type: 'sales_summary',
+        parameters: { startDate: '2023-01-01', endDate: '2023-01-31' }
+      });
+      await processMessage(msg, channel);
+
+      const updates = db.query.mock.calls.filter(([query]) => query.startsWith('UPDATE reports'));
+      const [, values] = updates[updates.length - 1];
+      expect(values.slice(0, 3)).toEqual(['failed', "Unknown column 'amount' in 'field list'", 'INTERNAL_ERROR']);
+      expect(channel.publish).not.toHaveBeenCalled();
+      expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+    });
+
+    test('should fail invalid parameters without generating or retrying', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r3', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({ report_id: 'r3', report_type: 'sales_summary', parameters: {} });
+      await processMessage(msg, channel);
+
+      const queries = db.query.mock.calls.map(([query]) => query);
+      expect(queries.some(query => query.includes('FROM sales_orders'))).toBe(false);
+      const updates = db.query.mock.calls.filter(([query]) => query.startsWith('UPDATE reports'));
+      expect(updates).toHaveLength(1);
+      expect(updates[0][1][0]).toBe('failed');
+      expect(updates[0][1][1]).toContain('parameters.startDate is required');
+      expect(updates[0][1][2]).toBe('VALIDATION_ERROR');
+      expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+    });
+
+    test('should fail unknown report types without retrying', async () => {
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r2', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({ report_id: 'r2', report_type: 'custom_report', parameters: {} });
+      await processMessage(msg, channel);
+
+      const updates = db.query.mock.calls.filter(([query]) => query.startsWith('UPDATE reports'));
+      const [, values] = updates[updates.length - 1];
+      expect(values[0]).toBe('failed');
+      expect(values[1]).toBe('Unknown report type: custom_report');
+      expect(values[2]).toBe('UNKNOWN_REPORT_TYPE');
+      expect(channel.nack).toHaveBeenCalledWith(msg, false, false);
+    });
+
+    test('should abort and retry a report that exceeds the job timeout', async () => {
+      process.env.WORKER_JOB_TIMEOUT_MS = '20';
+      registry.registerGenerator({
+        type: 'never_finishes',
+        // Ignores the signal, so only the worker's timeout can free the slot
+        generate: () => new Promise(() => {})
+      });
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: 'r10', status: 'pending', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+
+      const msg = buildMessage({ report_id: 'r10', report_type: 'never_finishes', parameters: {} });
+      try {
+        await processMessage(msg, channel);
+      } finally {
+        delete process.env.WORKER_JOB_TIMEOUT_MS;
+      }
+
+      const retry = db.query.mock.calls.find(([, values]) => values[0] === 'pending');
+      expect(retry[1].slice(1, 4)).toEqual([1, 'Report r10 exceeded the job timeout of 20ms', 'TIMEOUT']);
+      expect(db.query.mock.calls.filter(([query]) => query.includes('INSERT INTO outbox'))).toHaveLength(1);
+      expect(channel.ack).toHaveBeenCalledTimes(1);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleDelivery', () => {
+    let channel;
+    let releases;
+    let running;
+    let maxRunning;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeAll(() => {
+      registry.registerGenerator({
+        type: 'held_export',
+        // Runs until the test releases it, failing for ids starting with "fail"
+        generate: (parameters, { reportId }) => new Promise((resolve, reject) => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          releases.push(() => {
+            running--;
+            if (reportId.startsWith('fail')) {
+              reject(new Error('Generator bug'));
+            } else {
+              resolve({ columns: ['n'], rows: [{ n: 1 }] });
+            }
+          });
+        })
+      });
+    });
+
+    beforeEach(() => {
+      releases = [];
+      running = 0;
+      maxRunning = 0;
+      channel = {
+        ack: jest.fn(),
+        nack: jest.fn(),
+        publish: jest.fn(),
+        waitForConfirms: jest.fn().mockResolvedValue()
+      };
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: values[0], status: 'processing', retry_count: 0 }]);
+        }
+        callback(null, { affectedRows: 1 });
+      });
+    });
+
+    test('should run at most the pool size of jobs at once and settle each delivery once', async () => {
+      const pool = new JobPool(2);
+      const messages = ['r1', 'fail-r2', 'r3', 'r4', 'r5'].map((id, index) => buildHeldJob(id, index + 1));
+
+      let settled = 0;
+      const handled = messages.map(msg => handleDelivery(msg, channel, pool).then(() => settled++));
+      while (settled < messages.length) {
+        await flush();
+        expect(running).toBeLessThanOrEqual(2);
+        releases.splice(0).forEach(release => release());
+      }
+      await Promise.all(handled);
+
+      expect(maxRunning).toBe(2);
+      expect(channel.ack).toHaveBeenCalledTimes(4);
+      expect(channel.nack).toHaveBeenCalledTimes(1);
+      expect(channel.nack).toHaveBeenCalledWith(messages[1], false, false);
+      for (const msg of messages.filter(msg => msg !== messages[1])) {
+        expect(channel.ack.mock.calls.filter(([acked]) => acked === msg)).toHaveLength(1);
+      }
+    });
+
+    test('should hold a duplicate delivery until the running job ends, then handle it', async () => {
+      // The reaper reset the report while its first run was still going
+      let completions = 0;
+      db.query = jest.fn((query, values, callback) => {
+        if (query.startsWith('SELECT * FROM reports')) {
+          return callback(null, [{ id: values[0], status: 'pending', retry_count: 0 }]);
+        }
+        const completing = values[0] === 'completed';
+        callback(null, { affectedRows: completing && ++completions === 1 ? 0 : 1 });
+      });
+      const original = buildHeldJob('r7', 1);
+      const duplicate = buildHeldJob('r7', 2);
+
+      const handled = [original, duplicate].map(msg => handleDelivery(msg, channel, new JobPool(2)));
+      while (releases.length === 0) {
+        await flush();
+      }
+      await flush();
+      expect(running).toBe(1);
+      expect(channel.ack).not.toHaveBeenCalled();
+
+      releases.shift()();
+      while (releases.length === 0) {
+        await flush();
+      }
+      // The first run's result was discarded; the duplicate generates the report
+      expect(channel.ack).toHaveBeenCalledWith(original);
+      expect(channel.ack).not.toHaveBeenCalledWith(duplicate);
+
+      releases.shift()();
+      await Promise.all(handled);
+      expect(channel.ack).toHaveBeenCalledWith(duplicate);
+      expect(completions).toBe(2);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+
+    test('should not settle a delivery twice when its channel has closed', async () => {
+      channel.ack.mockImplementation(() => {
+        throw new Error('Channel closed');
+      });
+      const msg = buildHeldJob('r6', 1);
+
+      const handled = handleDelivery(msg, channel, new JobPool(1));
+      while (releases.length === 0) {
+        await flush();
+      }
+      releases[0]();
+      await handled;
+
+      // The failed ack counts as settled: a second settle would be a double ack
+      expect(channel.ack).toHaveBeenCalledTimes(1);
+      expect(channel.nack).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('classifyError', () => {
+    test('should keep report errors as they are', () => {
+      const error = new NotFoundError('User u1 does not exist');
+      expect(classifyError(error)).toBe(error);
+      expect(error).toMatchObject({ code: 'NOT_FOUND', retryable: false });
+      expect(new ReportValidationError([])).toMatchObject({ code: 'VALIDATION_ERROR', retryable: false });
+    });
+
+    test('should treat lost connections and deadlocks as transient', () => {
+      for (const code of ['PROTOCOL_CONNECTION_LOST', 'ER_LOCK_DEADLOCK', 'ECONNRESET']) {
+        const classified = classifyError(Object.assign(new Error(code), { code }));
+        expect(classified).toBeInstanceOf(TransientError);
+        expect(classified.retryable).toBe(true);
+      }
+    });
+
+    test('should treat S3 server errors as transient', () => {
+      const error = Object.assign(new Error('We encountered an internal error'), {
+        name: 'S3ServiceException',
+        $metadata: { httpStatusCode: 503 }
+      });
+      expect(classifyError(error)).toMatchObject({ code: 'TRANSIENT_ERROR', retryable: true });
+    });
+
+    test('should treat timeouts as retryable timeouts', () => {
+      const classified = classifyError(Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }));
+      expect(classified).toBeInstanceOf(TimeoutError);
+      expect(classified).toMatchObject({ code: 'TIMEOUT', retryable: true, message: 'connect ETIMEDOUT' });
+    });
+
+    test('should treat anything else as a permanent internal error', () => {
+      const cause = new TypeError("Cannot read properties of undefined (reading 'map')");
+      const classified = classifyError(cause);
+      expect(classified).toMatchObject({ code: 'INTERNAL_ERROR', retryable: false });
+      expect(classified.cause).toBe(cause);
+    });
+  });
+
+  describe('retryPolicy', () => {
+    const options = { baseDelayMs: 1000, multiplier: 2, jitter: 0.5, maxDelayMs: 5000 };
+
+    test('should grow the delay exponentially per attempt', () => {
+      const noJitter = () => 0;
+      expect(retryPolicy.computeRetryDelay(1, options, noJitter)).toBe(1000);
+      expect(retryPolicy.computeRetryDelay(2, options, noJitter)).toBe(2000);
+      expect(retryPolicy.computeRetryDelay(3, options, noJitter)).toBe(4000);
+    });
+
+    test('should cap the delay at maxDelayMs', () => {
+      expect(retryPolicy.computeRetryDelay(10, options, () => 0)).toBe(5000);
+    });
+
+    test('should reduce the delay by at most the jitter fraction', () => {
+      expect(retryPolicy.computeRetryDelay(2, options, () => 0.999999)).toBe(1000);
+      expect(retryPolicy.computeRetryDelay(2, options, () => 0.5)).toBe(1500);
+    });
+  });
+
+  describe('resolveWorkerTypes', () => {
+    test('should serve every registered report type by default', () => {
+      expect(resolveWorkerTypes(undefined)).toEqual(['sales_summary', 'user_activity']);
+    });
+
+    test('should serve only the listed report types', () => {
+      expect(resolveWorkerTypes(' user_activity ')).toEqual(['user_activity']);
+    });
+
+    test('should reject unknown report types', () => {
+      expect(() => resolveWorkerTypes('sales_summary,inventory'))
+        .toThrow('WORKER_REPORT_TYPES lists unknown report types: inventory');
     });
   });
 
@@ -67,11 +940,41 @@ describe('Worker Service Unit Tests', () => {
       expect(result).toBe(true);
     });
 
-    test('should accept other report types with any parameters', () => {
+    test('should reject unregistered report types', () => {
       const result = reportService.validateReportParameters('custom_report', {
         customParam: 'value'
       });
-      expect(result).toBe(true);
+      expect(result).toBe(false);
+    });
+
+    test('should reject date ranges longer than a year', () => {
+      const result = reportService.validateReportParameters('sales_summary', {
+        startDate: '2023-01-01',
+        endDate: '2024-06-30'
+      });
+      expect(result).toBe(false);
+    });
+
+    test('should require userId or startDate for user_activity', () => {
+      expect(validation.validateReportParameters('user_activity', { endDate: '2023-01-31' })).toEqual([
+        { field: 'parameters', message: 'must include userId or startDate' }
+      ]);
+    });
+
+    test('should throw ReportValidationError with every field error', () => {
+      let thrown;
+      try {
+        reportService.assertValidParameters('sales_summary', { startDate: 20230101 });
+      } catch (error) {
+        thrown = error;
+      }
+
+      expect(thrown).toBeInstanceOf(ReportValidationError);
+      expect(thrown.retryable).toBe(false);
+      expect(thrown.errors).toEqual([
+        { field: 'parameters.endDate', message: 'is required' },
+        { field: 'parameters.startDate', message: 'must be of type string' }
+      ]);
     });
 
     test('should reject invalid report_type', () => {